@@ -0,0 +1,81 @@
+import clone from "./clone.js";
+
+// The system properties recorded when no other set is configured.
+export const DEFAULT_SYSTEM_FIELDS = ["owner", "faction", "status"];
+
+// Always copied into a system record, changed or not, so the record can be matched back to its system and sector.
+export const SYSTEM_KEY_FIELDS = ["id", "sector_id"];
+
+/**
+ * Compares a configured set of properties between two versions of the same entity, and builds a forward and a
+ * backward record holding only the properties that changed.
+ */
+export class FieldDiffer {
+
+    #fields = [];
+    #keyFields = [];
+
+    /**
+     * @param fields    Properties to compare.
+     * @param keyFields Properties identifying the entity, copied into every record.
+     */
+    constructor(fields, keyFields = ["id"]) {
+        if(!Array.isArray(fields) || fields.length === 0) {
+            throw "Expected a non-empty list of fields to compare, got: " + JSON.stringify(fields);
+        }
+
+        this.#fields = fields.slice();
+        this.#keyFields = keyFields.slice();
+    }
+
+    get fields() {
+        return this.#fields.slice();
+    }
+
+    /**
+     * A field missing from `after` is treated as not reported rather than removed, since game updates do not always
+     * carry every property.
+     *
+     * @param before    The stored state.
+     * @param after     The newly received state.
+     * @returns {null|{forward: {}, backward: {}}}  Null if none of the fields changed.
+     */
+    diff(before, after) {
+        const forward = {};
+        const backward = {};
+        let changed = false;
+
+        this.#fields.forEach(f => {
+            if(!(f in after) || fieldEquals(before[f], after[f]))
+                return;
+
+            forward[f] = clone(after[f]);
+            backward[f] = before[f] === undefined ? null : clone(before[f]);
+            changed = true;
+        });
+
+        if(!changed)
+            return null;
+
+        this.#keyFields.forEach(k => {
+            forward[k] = before[k];
+            backward[k] = before[k];
+        });
+
+        return {forward: forward, backward: backward};
+    }
+}
+
+export function fieldEquals(a, b) {
+    if(a === b)
+        return true;
+
+    // Treat a missing value and null as the same, as the game sends null for things like unowned systems
+    if(a == null && b == null)
+        return true;
+
+    if(typeof a === "object" && typeof b === "object")
+        return JSON.stringify(a) === JSON.stringify(b);
+
+    return false;
+}
@@ -0,0 +1,81 @@
+/**
+ * Where things are in the galaxy, as far as the game gives us in `base`, for the exports that draw it.
+ *
+ * Systems are placed by their `position`, and sectors drawn from their `points`, the vertices of their perimeter, or
+ * placed at their `centroid` without them. Coordinates may be `{x, y}` objects or `[x, y]` pairs, and are always
+ * returned as `[x, y]` pairs, the way GeoJSON has them.
+ */
+
+/**
+ * @returns {null|Object}   A GeoJSON Point, or null if the system has no position.
+ */
+export function systemGeometry(sys) {
+    return sys.position ? {type: "Point", coordinates: toXY(sys.position)} : null;
+}
+
+/**
+ * @returns {null|Object}   A GeoJSON Polygon, a Point at its centroid without enough points, or null without either.
+ */
+export function sectorGeometry(sec) {
+    if(Array.isArray(sec.points) && sec.points.length >= 3) {
+        const ring = sec.points.map(toXY);
+
+        // GeoJSON rings end where they start
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if(first[0] !== last[0] || first[1] !== last[1])
+            ring.push(first.slice());
+
+        return {type: "Polygon", coordinates: [ring]};
+    }
+
+    if(sec.centroid)
+        return {type: "Point", coordinates: toXY(sec.centroid)};
+
+    return null;
+}
+
+/**
+ * Fits geometries into a picture of the given width, keeping their shape.
+ *
+ * @param geometries    GeoJSON Points and Polygons. Nulls are skipped.
+ * @returns {{width, height, project}}  The size of the picture, and a function turning an `[x, y]` pair into pixels.
+ */
+export function fitToWidth(geometries, width, padding = 20) {
+    const coords = [];
+    geometries.forEach(g => {
+        if(!g)
+            return;
+        if(g.type === "Point")
+            coords.push(g.coordinates);
+        else
+            g.coordinates.forEach(ring => ring.forEach(c => coords.push(c)));
+    });
+
+    if(coords.length === 0)
+        return {width: width, height: 2 * padding, project: () => [padding, padding]};
+
+    const minX = Math.min(...coords.map(c => c[0]));
+    const maxX = Math.max(...coords.map(c => c[0]));
+    const minY = Math.min(...coords.map(c => c[1]));
+    const maxY = Math.max(...coords.map(c => c[1]));
+
+    const scale = (width - 2 * padding) / Math.max(1, maxX - minX);
+    return {
+        width: width,
+        height: Math.ceil((maxY - minY) * scale) + 2 * padding,
+        project: c => [round(padding + (c[0] - minX) * scale), round(padding + (c[1] - minY) * scale)],
+    };
+}
+
+export function toXY(point) {
+    return Array.isArray(point) ? [point[0], point[1]] : [point.x, point.y];
+}
+
+export function round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+export function escapeXml(text) {
+    return ("" + text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
@@ -0,0 +1,192 @@
+import clone from "./clone.js";
+import {escapeXml, fitToWidth, round, sectorGeometry, systemGeometry} from "./GalaxyGeometry.mjs";
+import {applyRecord, endTimeOf, getById, nullable, timeToMillis} from "./HistoryManager.mjs";
+
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+/**
+ * Maps where a game was fought over: how often each system changed hands, how long each faction held it, and how long
+ * each sector was contested, placed on the geometry the game gives us in `base` as described in GalaxyGeometry.
+ *
+ * A sector counts as contested while more than one faction holds division points in it, and its systems count as
+ * contested for as long as it is. Time is split up the way TerritoryStats does it, so a gap's changes take effect when
+ * it ends.
+ */
+export class HeatmapExport {
+
+    #history = null;
+
+    // Totals by system and sector ID: `flips`, days held by each faction in `days`, and `contested` days
+    #systems = {};
+    #sectors = {};
+
+    /**
+     * @param history   The history to map. It is not modified.
+     */
+    constructor(history) {
+        this.#history = history;
+        this.#compute();
+    }
+
+    /**
+     * @returns {Object}    A GeoJSON FeatureCollection of a Point per system, and a Polygon per sector (or a Point at
+     *                      its centroid). Features without any geometry in `base` have a null geometry.
+     *
+     *                      Every feature's properties hold its `kind` ("system" or "sector"), `id` and `name`,
+     *                      `flips`, `daysByFaction`, `daysContested` and `heat`. For systems, flips are changes of
+     *                      faction and heat is how often it flipped compared to the most flipped system; for sectors,
+     *                      flips are changes of owner and heat is the share of the game it spent contested.
+     */
+    toGeoJSON() {
+        const base = this.#history.base;
+        const maxFlips = Math.max(1, ...Object.values(this.#systems).map(s => s.flips));
+        const length = this.#lengthInDays();
+
+        const sectors = Object.values(base.sectors).map(sec => {
+            const totals = this.#sectors[sec.id];
+            return feature(sectorGeometry(sec), {
+                kind: "sector", id: sec.id, name: sec.name, flips: totals.flips, daysByFaction: totals.days,
+                daysContested: totals.contested, heat: length > 0 ? Math.min(1, totals.contested / length) : 0,
+            });
+        });
+
+        const systems = Object.values(base.stellar_systems).map(sys => {
+            const totals = this.#systems[sys.id];
+            const sector = this.#sectors[sys.sector_id];
+            return feature(systemGeometry(sys), {
+                kind: "system", id: sys.id, name: sys.name, sector_id: sys.sector_id, flips: totals.flips,
+                daysByFaction: totals.days, daysContested: sector ? sector.contested : 0, heat: totals.flips / maxFlips,
+            });
+        });
+
+        return {type: "FeatureCollection", features: sectors.concat(systems)};
+    }
+
+    /**
+     * A static picture of the heatmap: sectors shaded by how long they were contested, and systems drawn bigger and
+     * redder the more often they flipped.
+     *
+     * @param options   `width` of the picture in pixels, defaulting to 1000. The height follows the galaxy's shape.
+     * @returns {string}    An SVG document, empty of shapes if `base` has no geometry.
+     */
+    toSvg(options = {}) {
+        const features = this.toGeoJSON().features;
+        const {width, height, project} = fitToWidth(features.map(f => f.geometry), options.width || 1000);
+
+        const shapes = [];
+        features.forEach(f => {
+            if(!f.geometry)
+                return;
+
+            const p = f.properties;
+            const title = "<title>" + escapeXml(p.name + ": " + p.flips + " flips, " + round(p.daysContested)
+                + " days contested") + "</title>";
+
+            if(f.geometry.type === "Polygon") {
+                const points = f.geometry.coordinates[0].map(c => project(c).join(",")).join(" ");
+                shapes.push("<polygon points=\"" + points + "\" fill=\"red\" fill-opacity=\"" + round(0.6 * p.heat)
+                    + "\" stroke=\"#888\">" + title + "</polygon>");
+            }
+            else {
+                const [x, y] = project(f.geometry.coordinates);
+                const r = p.kind === "system" ? 2 + 6 * p.heat : 3;
+                shapes.push("<circle cx=\"" + x + "\" cy=\"" + y + "\" r=\"" + round(r) + "\" fill=\"" + heatColour(p.heat)
+                    + "\">" + title + "</circle>");
+            }
+        });
+
+        return "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + width + "\" height=\"" + height + "\">\n"
+            + "<rect width=\"100%\" height=\"100%\" fill=\"#111\"/>\n" + shapes.join("\n") + "\n</svg>\n";
+    }
+
+    #compute() {
+        const history = this.#history;
+        const galaxy = clone(history.base);
+
+        // What each system and sector has been since when, to add up time held and contested as it changes
+        const since = {systems: {}, sectors: {}};
+
+        Object.values(galaxy.stellar_systems).forEach(sys => {
+            this.#systems[sys.id] = {flips: 0, days: {}, contested: 0};
+            since.systems[sys.id] = {faction: nullable(sys.faction), time: history.start};
+        });
+        Object.values(galaxy.sectors).forEach(sec => {
+            this.#sectors[sec.id] = {flips: 0, days: {}, contested: 0};
+            since.sectors[sec.id] = {owner: nullable(sec.owner), contested: isContested(sec), time: history.start};
+        });
+
+        history.snapshots.forEach(record => {
+            (record.changes || [record]).forEach(change => {
+                applyRecord(galaxy, change);
+
+                if(change.system) {
+                    const sys = getById(galaxy.stellar_systems, change.system.id);
+                    const state = since.systems[sys.id];
+                    if(nullable(sys.faction) !== state.faction) {
+                        this.#systems[sys.id].flips++;
+                        this.#endSystemState(sys.id, state, record.time);
+                        since.systems[sys.id] = {faction: nullable(sys.faction), time: record.time};
+                    }
+                }
+
+                if(change.sector) {
+                    const sec = getById(galaxy.sectors, change.sector.id);
+                    const state = since.sectors[sec.id];
+                    const contested = isContested(sec);
+                    if(nullable(sec.owner) !== state.owner || contested !== state.contested) {
+                        if(nullable(sec.owner) !== state.owner)
+                            this.#sectors[sec.id].flips++;
+                        this.#endSectorState(sec.id, state, record.time);
+                        since.sectors[sec.id] = {owner: nullable(sec.owner), contested: contested, time: record.time};
+                    }
+                }
+            });
+        });
+
+        const end = endTimeOf(this.#history);
+        Object.keys(since.systems).forEach(id => this.#endSystemState(id, since.systems[id], end));
+        Object.keys(since.sectors).forEach(id => this.#endSectorState(id, since.sectors[id], end));
+    }
+
+    #endSystemState(id, state, time) {
+        if(state.faction !== null)
+            addDays(this.#systems[id].days, state.faction, daysBetween(state.time, time));
+    }
+
+    #endSectorState(id, state, time) {
+        const days = daysBetween(state.time, time);
+        if(state.owner !== null)
+            addDays(this.#sectors[id].days, state.owner, days);
+        if(state.contested)
+            this.#sectors[id].contested += days;
+    }
+
+    #lengthInDays() {
+        return daysBetween(this.#history.start, endTimeOf(this.#history));
+    }
+}
+
+function feature(geometry, properties) {
+    return {type: "Feature", geometry: geometry, properties: properties};
+}
+
+function isContested(sec) {
+    return new Set((sec.division || []).filter(d => d.faction != null && d.points > 0).map(d => d.faction)).size > 1;
+}
+
+function addDays(days, faction, amount) {
+    days[faction] = (days[faction] || 0) + amount;
+}
+
+function daysBetween(from, to) {
+    return (timeToMillis(to) - timeToMillis(from)) / DAY_MILLIS;
+}
+
+/**
+ * From a cool grey for systems that never flipped to red for the most fought over.
+ */
+function heatColour(heat) {
+    const r = Math.round(120 + 135 * heat);
+    const gb = Math.round(120 - 90 * heat);
+    return "rgb(" + r + "," + gb + "," + gb + ")";
+}
@@ -0,0 +1,281 @@
+import clone from "./clone.js";
+import {applyRecord, getById, nullable, timeToMillis} from "./HistoryManager.mjs";
+
+// A sector's owner changed.
+export const HIGHLIGHT_SECTOR_FLIP = "sectorFlip";
+
+// One faction took many systems within a short window.
+export const HIGHLIGHT_OFFENSIVE = "offensive";
+
+// A system changed hands again and again.
+export const HIGHLIGHT_CONTESTED = "contested";
+
+// A faction lost much of its territory and then won it all back.
+export const HIGHLIGHT_COMEBACK = "comeback";
+
+// Two factions met for the first time, sharing a sector or taking a system from one another.
+export const HIGHLIGHT_FIRST_CONTACT = "firstContact";
+
+// How much each kind of highlight is worth, relative to the others. Scores grow with the size of the event.
+const SCORE_SECTOR_FLIP = 10;
+const SCORE_SECTOR_FLIP_PER_POINT = 1;
+const SCORE_OFFENSIVE_PER_SYSTEM = 5;
+const SCORE_CONTESTED_PER_FLIP = 4;
+const SCORE_COMEBACK_PER_SYSTEM = 8;
+const SCORE_FIRST_CONTACT = 15;
+
+/**
+ * Scans the snapshots of a `History` for the moments worth watching, so a finished game can be reviewed without
+ * scrubbing through every single flip.
+ *
+ * Every highlight holds its `type`, the `start` and `end` times it spans and the matching `startIndex` and `endIndex`
+ * to seek a `HistoryPlayer` to, a `score`, a short `title`, a `description`, and the `factions` involved. Highlights
+ * from changes caught up on after a period without recording span the whole gap, as their exact time is unknown.
+ */
+export class HighlightDetector {
+
+    #offensiveHours = 6;
+    #offensiveSystems = 5;
+    #contestedFlips = 3;
+    #comebackDrop = 0.5;
+    #comebackSystems = 3;
+
+    /**
+     * @param options   `offensiveHours` and `offensiveSystems` set how many systems one faction has to take within
+     *                  how many hours to count as an offensive, defaulting to 5 within 6 hours.
+     *                  `contestedFlips` is how many times a system has to change hands to count as contested,
+     *                  defaulting to 3.
+     *                  `comebackDrop` and `comebackSystems` set how far a faction has to fall from its peak, as a
+     *                  share of it and as a number of systems, before winning it back counts as a comeback,
+     *                  defaulting to half and 3 systems.
+     */
+    constructor(options = {}) {
+        ["offensiveHours", "offensiveSystems", "contestedFlips", "comebackDrop", "comebackSystems"].forEach(o => {
+            if(options[o] !== undefined && (typeof options[o] !== "number" || options[o] <= 0)) {
+                throw "Expected a positive number for " + o + ", got: " + JSON.stringify(options[o]);
+            }
+        });
+
+        if(options.offensiveHours)
+            this.#offensiveHours = options.offensiveHours;
+        if(options.offensiveSystems)
+            this.#offensiveSystems = options.offensiveSystems;
+        if(options.contestedFlips)
+            this.#contestedFlips = options.contestedFlips;
+        if(options.comebackDrop)
+            this.#comebackDrop = options.comebackDrop;
+        if(options.comebackSystems)
+            this.#comebackSystems = options.comebackSystems;
+    }
+
+    /**
+     * @param history   The history to scan. It is not modified.
+     * @returns {Object[]}  Every highlight found, in order of when they start.
+     */
+    detect(history) {
+        const galaxy = clone(history.base);
+        const highlights = [];
+
+        // Every change of faction of each system, by system, and every capture by the faction that made it
+        const flips = new Map();
+        const captures = {};
+
+        const systemCounts = {};
+        Object.values(galaxy.stellar_systems).forEach(sys => {
+            if(sys.faction != null)
+                systemCounts[sys.faction] = (systemCounts[sys.faction] || 0) + 1;
+        });
+        const comebacks = {};
+        Object.keys(systemCounts).forEach(f => comebacks[f] = {peak: systemCounts[f], trough: null});
+
+        const met = new Set();
+        Object.values(galaxy.sectors).forEach(sec => factionsIn(sec).forEach((a, i, all) => all.slice(i + 1)
+            .forEach(b => met.add(pairKey(a, b)))));
+
+        history.snapshots.forEach((record, i) => {
+            const at = {index: i + 1, time: record.time, start: record.gap ? record.gap.start : record.time};
+
+            (record.changes || [record]).forEach(change => {
+                const sys = change.system ? getById(galaxy.stellar_systems, change.system.id) : null;
+                const sec = change.sector ? getById(galaxy.sectors, change.sector.id) : null;
+                const wasFaction = sys ? nullable(sys.faction) : null;
+                const wasOwner = sec ? nullable(sec.owner) : null;
+
+                applyRecord(galaxy, change);
+
+                if(sys && nullable(sys.faction) !== wasFaction) {
+                    const to = nullable(sys.faction);
+                    if(!flips.has(sys))
+                        flips.set(sys, []);
+                    flips.get(sys).push(Object.assign({from: wasFaction, to: to}, at));
+
+                    // Captures caught up on all share the end of their gap, which would look like one huge offensive
+                    if(to !== null && !record.gap) {
+                        if(!captures[to])
+                            captures[to] = [];
+                        captures[to].push(at);
+                    }
+
+                    if(wasFaction !== null && to !== null)
+                        this.#checkContact(met, wasFaction, to, "when " + to + " took " + sys.name + " from "
+                            + wasFaction, at, highlights);
+
+                    [[wasFaction, -1], [to, 1]].forEach(([f, d]) => {
+                        if(f === null)
+                            return;
+                        systemCounts[f] = (systemCounts[f] || 0) + d;
+                        this.#checkComeback(comebacks, f, systemCounts[f], at, highlights);
+                    });
+                }
+
+                if(sec) {
+                    if(nullable(sec.owner) !== wasOwner)
+                        highlights.push(sectorFlip(sec, wasOwner, at));
+
+                    factionsIn(sec).forEach((a, j, all) => all.slice(j + 1).forEach(b => this.#checkContact(met, a,
+                        b, "in " + sec.name, at, highlights)));
+                }
+            });
+        });
+
+        Object.keys(captures).forEach(f => this.#findOffensives(f, captures[f], highlights));
+        flips.forEach((systemFlips, sys) => this.#checkContested(sys, systemFlips, highlights));
+
+        return highlights.sort((a, b) => a.startIndex - b.startIndex);
+    }
+
+    /**
+     * The best highlights, as a list of chapters to jump between.
+     *
+     * @param history   The history to scan. It is not modified.
+     * @param limit     Most chapters to keep, picking those with the highest scores.
+     * @returns {Object[]}  Highlights, in order of when they start.
+     */
+    chapters(history, limit = 20) {
+        return this.detect(history)
+            .map((h, order) => ({h: h, order: order}))
+            .sort((a, b) => b.h.score - a.h.score || a.order - b.order)
+            .slice(0, limit)
+            .sort((a, b) => a.order - b.order)
+            .map(e => e.h);
+    }
+
+    #checkContact(met, a, b, where, at, highlights) {
+        const key = pairKey(a, b);
+        if(met.has(key))
+            return;
+
+        met.add(key);
+        const factions = [a, b].sort();
+        highlights.push(highlight(HIGHLIGHT_FIRST_CONTACT, at, at, SCORE_FIRST_CONTACT, factions,
+            "First contact: " + factions.join(" and "),
+            factions.join(" and ") + " met for the first time " + where + "."));
+    }
+
+    /**
+     * Follows each faction's system count from its peak down to its lowest point, and back up past the peak.
+     */
+    #checkComeback(comebacks, faction, count, at, highlights) {
+        if(!comebacks[faction])
+            comebacks[faction] = {peak: 0, trough: null};
+        const state = comebacks[faction];
+
+        if(state.trough !== null && count >= state.peak) {
+            const regained = state.peak - state.trough.count;
+            highlights.push(highlight(HIGHLIGHT_COMEBACK, state.trough.at, at, SCORE_COMEBACK_PER_SYSTEM * regained,
+                [faction], faction + " comeback",
+                faction + " fell from " + state.peak + " systems to " + state.trough.count + " and fought back to "
+                    + count + "."));
+            state.peak = count;
+            state.trough = null;
+        }
+        else if(state.trough === null && count > state.peak) {
+            state.peak = count;
+        }
+        else if(count <= state.peak * (1 - this.#comebackDrop) && state.peak - count >= this.#comebackSystems
+            && (state.trough === null || count < state.trough.count)) {
+            state.trough = {count: count, at: at};
+        }
+    }
+
+    /**
+     * Walks the captures of a faction in order, taking each run of enough captures within the window as an offensive.
+     */
+    #findOffensives(faction, captures, highlights) {
+        const window = this.#offensiveHours * 60 * 60 * 1000;
+        const millis = captures.map(c => timeToMillis(c.time));
+
+        let first = 0;
+        while(first < captures.length) {
+            let last = first;
+            while(last + 1 < captures.length && millis[last + 1] - millis[first] <= window)
+                last++;
+
+            const count = last - first + 1;
+            if(count < this.#offensiveSystems) {
+                first++;
+                continue;
+            }
+
+            const hours = Math.round((millis[last] - millis[first]) / (60 * 60 * 1000) * 10) / 10;
+            highlights.push(highlight(HIGHLIGHT_OFFENSIVE, captures[first], captures[last],
+                SCORE_OFFENSIVE_PER_SYSTEM * count, [faction], faction + " offensive",
+                faction + " took " + count + " systems in " + hours + " hours."));
+            first = last + 1;
+        }
+    }
+
+    #checkContested(sys, flips, highlights) {
+        if(flips.length < this.#contestedFlips)
+            return;
+
+        const factions = new Set();
+        flips.forEach(f => [f.from, f.to].forEach(x => x !== null && factions.add(x)));
+
+        highlights.push(highlight(HIGHLIGHT_CONTESTED, flips[0], flips[flips.length - 1],
+            SCORE_CONTESTED_PER_FLIP * flips.length, Array.from(factions).sort(), sys.name + " contested",
+            sys.name + " changed hands " + flips.length + " times."));
+    }
+}
+
+function sectorFlip(sec, from, at) {
+    const to = nullable(sec.owner);
+    const points = (sec.division || []).reduce((sum, d) => sum + (d.points || 0), 0);
+    const factions = [from, to].filter(f => f !== null).sort();
+
+    let title;
+    if(to === null)
+        title = from + " loses control of " + sec.name;
+    else if(from === null)
+        title = to + " takes control of " + sec.name;
+    else
+        title = to + " takes " + sec.name + " from " + from;
+
+    return highlight(HIGHLIGHT_SECTOR_FLIP, at, at, SCORE_SECTOR_FLIP + SCORE_SECTOR_FLIP_PER_POINT * points, factions,
+        title, "Control of " + sec.name + " went from " + (from || "nobody") + " to " + (to || "nobody") + ".");
+}
+
+/**
+ * @param from  Where the highlight starts, as `{index, start}`.
+ * @param to    Where it ends, as `{index, time}`.
+ */
+function highlight(type, from, to, score, factions, title, description) {
+    return {
+        type: type,
+        start: from.start, end: to.time,
+        startIndex: from.index, endIndex: to.index,
+        score: score,
+        title: title,
+        description: description,
+        factions: factions,
+    };
+}
+
+function factionsIn(sec) {
+    return Array.from(new Set((sec.division || []).filter(d => d.faction != null && d.points > 0)
+        .map(d => d.faction))).sort();
+}
+
+function pairKey(a, b) {
+    return JSON.stringify([a, b].sort());
+}
@@ -1,27 +1,151 @@
-import fs from "fs";
 import {DateTime} from "luxon";
 import clone from "./clone.js";
+import {DEFAULT_SYSTEM_FIELDS, FieldDiffer, SYSTEM_KEY_FIELDS} from "./DiffEngine.mjs";
+import {GraniteHost, LOG_DEBUG, LOG_ERROR} from "./HostAdapters.mjs";
+import {BACKUP_SUFFIX, FileSystemStorage} from "./StorageBackends.mjs";
+import {WriteQueue} from "./WriteQueue.mjs";
 
 export const VERSION_ONE = 1;
+export const VERSION_TWO = 2;
+export const VERSION_THREE = 3;
+export const VERSION_FOUR = 4;
 export const DUMMY_BETA_VERSION = -1;
 export const DUMMY_ALPHA_VERSION = -2;
 
-export const LATEST_HISTORY_VERSION = VERSION_ONE;
+export const LATEST_HISTORY_VERSION = VERSION_FOUR;
+
+// A keyframe of the whole galaxy is taken once this many records have been added since the previous one...
+export const DEFAULT_KEYFRAME_INTERVAL = 500;
+
+// ...or once this many hours of real world time have passed since it, whichever comes first.
+export const DEFAULT_KEYFRAME_HOURS = 24;
+
+// The whole history is rewritten to `history.json` on every change.
+export const STORAGE_MODE_CLASSIC = "classic";
+
+// The base galaxy is written once to `base.json`, and each change is appended as one line to `journal.jsonl`.
+export const STORAGE_MODE_JOURNAL = "journal";
+
+// Records are placed in time by when they were recorded in the real world.
+export const TIMELINE_WALL = "wall";
+
+// Records are placed in time by the game's own clock, which lines up across every player of the same game.
+export const TIMELINE_GAME = "game";
+
+/*
+ * Events emitted as histories are recorded, subscribed to with `HistoryManager.on`. Every event is an object holding
+ * its `type` and `instance`. Those about a change in the galaxy also hold the `time` and `gameTime` of the record that
+ * holds it, its `gap` if it was caught up on, and the `before` and `after` state of what changed.
+ */
+
+// A faction took a system, with the `faction` that took it and the one it was taken `from`, if any.
+export const EVENT_SYSTEM_CAPTURED = "systemCaptured";
+
+// A faction lost a system, with the `faction` that lost it and the one it went `to`, if any.
+export const EVENT_SYSTEM_LOST = "systemLost";
+
+// A sector changed owner, with the `from` and `to` owners.
+export const EVENT_SECTOR_FLIPPED = "sectorFlipped";
+
+// A system's status changed, with the `from` and `to` statuses.
+export const EVENT_STATUS_CHANGED = "statusChanged";
+
+// A new history was started, with the `history`.
+export const EVENT_HISTORY_CREATED = "historyCreated";
+
+// Records were written to storage, with the `key` written to.
+export const EVENT_HISTORY_SAVED = "historySaved";
+
+// The game is over and its history complete, with the `winner`, the `time` and `gameTime`, and the final control of
+// the `sectors`.
+export const EVENT_GAME_FINISHED = "gameFinished";
+
+// A record was added to a history, with the `record`.
+export const EVENT_RECORD_ADDED = "recordAdded";
+
+const EVENTS = [EVENT_SYSTEM_CAPTURED, EVENT_SYSTEM_LOST, EVENT_SECTOR_FLIPPED, EVENT_STATUS_CHANGED,
+    EVENT_HISTORY_CREATED, EVENT_HISTORY_SAVED, EVENT_GAME_FINISHED, EVENT_RECORD_ADDED];
 
 export class HistoryManager {
 
     #loadedGalaxies = {};
     #rootDir = "./";
     #fatal = false;
+    #readOnly = false;
+    #storageMode = STORAGE_MODE_CLASSIC;
+    #systemDiffer = null;
+
+    // Also compares whether the recorder can see the system, for hosts that know
+    #visibleDiffer = null;
+
+    #host = null;
+    #storage = null;
+    #writeQueue = null;
+    #keyframeInterval = DEFAULT_KEYFRAME_INTERVAL;
+    #keyframeHours = DEFAULT_KEYFRAME_HOURS;
+
+    // Journal entries recorded but not yet appended, by instance
+    #pendingEntries = {};
 
-    constructor(rootDir = "./dist/main/replays/") {
+    // Keys that couldn't be read and were loaded from their backup instead, until they are written again
+    #restoredKeys = new Set();
+
+    // Listeners added with `on`, by event type
+    #listeners = {};
+
+    /**
+     * @param rootDir   Directory holding one sub-directory per game instance.
+     * @param options   `storageMode` is one of STORAGE_MODE_CLASSIC (default) or STORAGE_MODE_JOURNAL.
+     *                  `systemFields` lists the system properties to record changes of, defaulting to
+     *                  DEFAULT_SYSTEM_FIELDS.
+     *                  `host` provides logging, the live galaxy and the clocks, defaulting to a GraniteHost.
+     *                  `storage` is where histories are persisted, defaulting to a FileSystemStorage over `rootDir`.
+     *                  `flushDelay` holds back writes by this many milliseconds so that bursts of records are written
+     *                  together, defaulting to 0 which writes every record straight away. Anything still held back is
+     *                  written when the host exits, or on `flush`.
+     *                  `keyframeInterval` and `keyframeHours` set how often keyframes are taken, defaulting to
+     *                  DEFAULT_KEYFRAME_INTERVAL records and DEFAULT_KEYFRAME_HOURS hours.
+     *                  `readOnly` never writes to storage, for reading histories the game may still be recording. A
+     *                  journal's cut short last line is then only dropped in memory, and a classic history isn't
+     *                  carried over to the journal.
+     */
+    constructor(rootDir = "./dist/main/replays/", options = {}) {
         this.#rootDir = rootDir;
+        this.#readOnly = options.readOnly === true;
+        this.#host = options.host || new GraniteHost();
+        this.#systemDiffer = new FieldDiffer(options.systemFields || DEFAULT_SYSTEM_FIELDS, SYSTEM_KEY_FIELDS);
+        this.#visibleDiffer = new FieldDiffer(this.#systemDiffer.fields.concat("visible"), SYSTEM_KEY_FIELDS);
+        if(options.keyframeInterval)
+            this.#keyframeInterval = options.keyframeInterval;
+        if(options.keyframeHours)
+            this.#keyframeHours = options.keyframeHours;
+
+        if(options.storageMode) {
+            if(options.storageMode !== STORAGE_MODE_CLASSIC && options.storageMode !== STORAGE_MODE_JOURNAL) {
+                throw "Unknown storage mode: " + options.storageMode;
+            }
+            this.#storageMode = options.storageMode;
+        }
 
-        if(!fs.existsSync(this.#rootDir)) {
-            fs.mkdir(this.#rootDir, err => {
-                if(err) {
-                    this.#fatal = true;
-                    window.granite.debug("Failed to create replay dir: " + err);
+        try {
+            this.#storage = options.storage || new FileSystemStorage(this.#rootDir);
+        }
+        catch(err) {
+            this.#fatal = true;
+            this.#host.log("Failed to create replay dir: " + err, LOG_ERROR);
+        }
+
+        const flushDelay = options.flushDelay || 0;
+        this.#writeQueue = new WriteQueue(flushDelay,
+            err => this.#host.log("Failed to write held back records: " + err, LOG_ERROR));
+
+        if(flushDelay > 0) {
+            this.#host.onExit(() => {
+                try {
+                    this.flush();
+                }
+                catch(err) {
+                    this.#host.log("[CRITICAL] FAILED TO WRITE HISTORY ON EXIT: " + err, LOG_ERROR);
                 }
             });
         }
@@ -33,8 +157,8 @@ export class HistoryManager {
             if(history)
                 return true;
 
-            const file = this.#getFilePathForHistory(instance);
-            return fs.existsSync(file);
+            return this.#storage.exists(this.#getKeyForHistory(instance))
+                || this.#storage.exists(this.#getKeyForBase(instance));
         }
         catch (err) {
             throw "Failed to check if history exists for " + instance + ". Cause: " + err;
@@ -45,13 +169,31 @@ export class HistoryManager {
         try {
             let history = this.#loadedGalaxies[instance];
             if(!history) {
-                const file = this.#getFilePathForHistory(instance);
+                const key = this.#getKeyForHistory(instance);
+                const hasJournal = this.#storage.exists(this.#getKeyForBase(instance));
+
+                if(hasJournal && (this.#storageMode === STORAGE_MODE_JOURNAL || !this.#storage.exists(key))) {
+                    history = this.#loadJournal(instance);
+                }
+                else if(!this.#storage.exists(key)) {
+                    throw "Could not find '" + this.#rootDir + key + "'";
+                }
+                else {
+                    history = this.#loadJson(key);
+
+                    const upgrader = new HistoryVersionUpgrader();
+                    if(upgrader.shouldUpgradeHistory(history)) {
+                        history = upgrader.upgradeHistoryFile(history, instance);
+                    }
+                    history = Object.assign(new History, history);
 
-                if(!fs.existsSync(file)) {
-                    throw "Could not find '" + file + "'";
+                    // A classic history opened in journal mode is carried over, so that further records
+                    // have a base to be appended to.
+                    if(this.#storageMode === STORAGE_MODE_JOURNAL && !this.#readOnly) {
+                        this.#writeJournalFromHistory(history);
+                    }
                 }
 
-                history = Object.assign(new History, JSON.parse(fs.readFileSync(file, 'utf8')));
                 this.#loadedGalaxies[instance] = history;
             }
 
@@ -68,47 +210,48 @@ export class HistoryManager {
      * @param payload   Full galactic data dump from the game.
      */
     processNewInstance(instance, galaxy) {
-        window.granite.debug("Processing new instance: " + instance);
+        this.#host.log("Processing new instance: " + instance);
 
         if(this.#fatal) {
-            window.granite.debug("FATAL'd, doing nothing...");
+            this.#host.log("FATAL'd, doing nothing...");
             return;
         }
 
         if(this.hasHistory(instance)) {
-            window.granite.debug("History file already exists for instance " + instance);
+            this.#host.log("History file already exists for instance " + instance);
         }
 
-        const file = this.#getFilePathForHistory(instance);
         let history = new History(instance, galaxy);
-        const historyData = {
-            start:DateTime.now().toISO(), base:clone(galaxy),
-            current:clone(galaxy), snapshots: [], undo: [], instance:instance,
-            currentTime:DateTime.now().toISO()
-        }
+        this.#noteVisibility(history.base);
+        this.#noteVisibility(history.current);
+        history.start = this.#host.now().toISO();
+        history.currentTimestamp = history.start;
+        const clock = this.getGameClock();
+        history.gameSpeed = clock ? clock.speed : null;
         this.#loadedGalaxies[instance] = history;
 
-        fs.mkdir(this.#rootDir + instance, err => {
-            if(err) {
-                this.#fatal = true;
-                window.granite.debug("Failed to create replay dir for " + isntance + ": " + err, window.granite.levels.ERROR);
+        try {
+            if(this.#storageMode === STORAGE_MODE_JOURNAL) {
+                this.#writeJournalFromHistory(history);
             }
             else {
-                fs.writeFile(file, JSON.stringify(history), err => {
-                    if (err) {
-                        window.granite.debug("Error in saving initial galaxy: " + err, window.granite.levels.ERROR);
-                    }
-                    else {
-                        window.granite.debug("Saved initial galaxy state successfully.", window.granite.levels.DEBUG);
-                    }
-                });
+                this.saveHistoryToDisk(history);
             }
-        });
+            this.#host.log("Saved initial galaxy state successfully.", LOG_DEBUG);
+        }
+        catch(err) {
+            this.#host.log("Error in saving initial galaxy: " + err, LOG_ERROR);
+        }
+
+        this.#emit(EVENT_HISTORY_CREATED, {instance: instance, history: history});
     }
 
     /**
      * Given a system, will check for differences and apply as needed.
      *
+     * Systems flagged with `unknownTime` changed at some point while we weren't recording, and are handled as a
+     * catch-up instead.
+     *
      * @param sys   The System to check against.
      * @param instance  The galaxy to check against.
      */
@@ -118,10 +261,159 @@ export class HistoryManager {
             return;
         }
 
+        if(sys.unknownTime) {
+            this.applyCatchUp(instance, [sys]);
+            return;
+        }
+
+        const history = this.getHistory(instance);
+        if(history.complete) {
+            return;
+        }
+        const change = this.#updateSystem(history, sys, instance);
+        if(change) {
+            const stamp = this.#stamp();
+            const record = Object.assign({}, stamp, change.record);
+            this.#pushRecord(history, record, Object.assign({}, stamp, change.undo));
+            this.#emitChanges(instance, record, change.events);
+        }
+    }
+
+    /**
+     * Given a sector, will check for a change in its balance of control and record it as a sector-only update.
+     *
+     * Sector updates caused by a system flip are already bundled into that system's record, so by the time the game
+     * sends us the matching sector update there is nothing left to record. This catches the remaining shifts, such
+     * as division points moving through influence without any system changing owner.
+     *
+     * @param sec   The Sector to check against.
+     * @param instance  The galaxy to check against.
+     */
+    applySectorUpdate(sec, instance) {
+
+        if(this.#fatal) {
+            return;
+        }
+
         const history = this.getHistory(instance);
+        if(history.complete) {
+            return;
+        }
+        const change = this.#updateSector(history, sec, instance);
+        if(change) {
+            const stamp = this.#stamp();
+            const record = Object.assign({}, stamp, change.record);
+            this.#pushRecord(history, record, Object.assign({}, stamp, change.undo));
+            this.#emitChanges(instance, record, change.events);
+        }
+    }
+
+    /**
+     * Catches the history up to the state of the game after a period where we weren't recording, such as when the
+     * game was closed and later re-opened.
+     *
+     * We can't know when each of these changes happened, only that they happened between the last record we have and
+     * now, so they are bundled into a single gap record holding that interval rather than stamped with the current
+     * time. Its `changes` are applied in order, like any other list of records.
+     *
+     * @param instance  The galaxy to check against.
+     * @param systems   Every system of the galaxy as the game now reports it.
+     * @param sectors   Every sector of the galaxy as the game now reports it, to catch shifts in control that didn't
+     *                  come with a system flip.
+     */
+    applyCatchUp(instance, systems, sectors = []) {
+
+        if(this.#fatal) {
+            return;
+        }
+
+        const history = this.getHistory(instance);
+        if(history.complete) {
+            return;
+        }
+        const changes = [];
+        const undoChanges = [];
+        const events = [];
+
+        systems.concat(sectors).forEach(e => {
+            const isSystem = systems.includes(e);
+            if(isSystem)
+                delete e.unknownTime;
+
+            const change = isSystem ? this.#updateSystem(history, e, instance) : this.#updateSector(history, e, instance);
+            if(change) {
+                changes.push(change.record);
+                undoChanges.unshift(change.undo);
+                events.push(...change.events);
+            }
+        });
+
+        if(changes.length > 0) {
+            const stamp = this.#stamp();
+            const last = history.snapshots[history.snapshots.length - 1];
+            const gap = {
+                start:last ? last.time : history.start, end:stamp.time,
+                gameStart:last && last.gameTime !== undefined ? last.gameTime : null, gameEnd:stamp.gameTime,
+            };
+
+            const record = Object.assign({}, stamp, {gap:gap, changes:changes});
+            this.#pushRecord(history, record, Object.assign({}, stamp, {gap:gap, changes:undoChanges}));
+            this.#emitChanges(instance, record, events);
+        }
+    }
+
+    /**
+     * Marks a history as complete once its game is over, ending it with a final record holding the winner and the
+     * final control of each sector. A final record changes nothing in the galaxy, so its undo record is empty.
+     *
+     * No further updates are recorded to a complete history.
+     *
+     * @param instance  The galaxy that has ended.
+     * @param winner    The winner, as reported by the game.
+     */
+    finalizeHistory(instance, winner) {
+
+        if(this.#fatal) {
+            return;
+        }
+
+        const history = this.getHistory(instance);
+        if(history.complete) {
+            return;
+        }
+
+        const stamp = this.#stamp();
+        const sectors = Object.values(history.current.sectors).map(sec => ({
+            id:sec.id, owner:sec.owner, division:clone(sec.division),
+        }));
+
+        history.complete = true;
+        history.end = stamp.time;
+        history.winner = winner;
+
+        this.#pushRecord(history, Object.assign({}, stamp, {final:{winner:winner, sectors:sectors}}),
+            Object.assign({}, stamp, {final:null}));
+
+        // The header changed too, which the journal can't hold
+        if(this.#storageMode === STORAGE_MODE_JOURNAL) {
+            this.#writeJournalBase(history);
+        }
+
+        this.#emit(EVENT_GAME_FINISHED, {
+            instance: instance, winner: winner, time: stamp.time, gameTime: stamp.gameTime, sectors: clone(sectors),
+        });
+    }
+
+    /**
+     * Applies a system update to the stored current state, if it changed anything.
+     *
+     * @returns {null|{record: {}, undo: {}, events: []}}  The forward and undo records, without a time, and the
+     *                                                      events to emit once they are recorded.
+     */
+    #updateSystem(history, sys, instance) {
         const curState = history.current;
-        const storedSys = this.#getById(curState.stellar_systems, sys.id);
-        const storedSec = this.#getById(curState.sectors, sys.sector_id);
+        const storedSys = getById(curState.stellar_systems, sys.id);
+        const storedSec = getById(curState.sectors, sys.sector_id);
 
         if(storedSys == null) {
             throw "Null system ID: " + sys.id + " from instance " + instance;
@@ -130,90 +422,747 @@ export class HistoryManager {
             throw "Null sector ID: " + sys.sector_id + " from instance " + instance;
         }
 
-        if(storedSys.owner !== sys.owner || storedSys.status !== sys.status) {
-
-            // Create a snapshot that allows us to undo this step
-            const u = clone(storedSys);
-            delete u.position;
-            delete u.score;
-            delete u.receivedAt;
-
-            // Clean up the current snapshot
-            sys.time = DateTime.now().toISO();
-            delete sys.position;
-            delete sys.score;
-            delete sys.receivedAt;
-
-            // Update the stored current state of the galaxy
-            storedSys.owner = sys.owner;
-            storedSys.faction = sys.faction;
-            storedSys.status = sys.status;
-            history.currentTime = sys.time;
-
-            // now handle the previous sector state for undo history
-            const sec = clone(storedSec);
-            delete sec.adjacent;
-            delete sec.centroid;
-            delete sec.points; // these are the vertices of a sector's perimeter
-
-            const curSector = this.getSector(sec.id);
-            storedSec.owner = curSector.owner;
-            storedSec.division = curSector.division;
-
-            /**
-             * We bundle the system and sector updates into one update record for simplicity.
-             * Before, we had them separated, but this doesn't make sense as taking or losing a system always
-             * updates the sector's balance of control. It might also sometimes change its
-             * owner. More importantly, having them separate means the replay viewer needs to understand when
-             * these transitions happen; this unnecessarily pushes game logic into the viewer.
-             *
-             * Note: This means the replay format has changed. Older formats can still be forwards-compatible.
-             */
-            const record = {time:sys.time, system:sys, sector:clone(storedSec)};
-            const undoR = {time:sys.time, system:u, sector:sec};
-
-            // Build the forwards/backwards snapshots
-            history.undo.push(undoR);
-            history.snapshots.push(record);
+        // Whether the change was seen, rather than only what the game last knew of a system out of sight. A system
+        // coming into or going out of sight is a change of its own.
+        const visible = this.#host.getVisibility(sys);
+        const diff = visible === null ? this.#systemDiffer.diff(storedSys, sys)
+            : this.#visibleDiffer.diff(storedSys, Object.assign({}, sys, {visible: visible}));
+        if(!diff)
+            return null;
+
+        if(visible !== null) {
+            diff.forward.visible = visible;
+            diff.backward.visible = nullable(storedSys.visible);
+        }
 
-            this.saveHistoryToDisk(history);
+        const sysBefore = clone(storedSys);
+
+        // Update the stored current state of the galaxy
+        Object.assign(storedSys, clone(diff.forward));
+
+        // now handle the previous sector state for undo history
+        const sec = stripSector(clone(storedSec));
+
+        const curSector = this.getSector(sec.id);
+        storedSec.owner = curSector.owner;
+        storedSec.division = clone(curSector.division);
+
+        /**
+         * We bundle the system and sector updates into one update record for simplicity.
+         * Before, we had them separated, but this doesn't make sense as taking or losing a system always
+         * updates the sector's balance of control. It might also sometimes change its
+         * owner. More importantly, having them separate means the replay viewer needs to understand when
+         * these transitions happen; this unnecessarily pushes game logic into the viewer.
+         *
+         * Note: This means the replay format has changed. Older formats can still be forwards-compatible.
+         */
+        return {
+            record: {system:diff.forward, sector:stripSector(clone(storedSec))},
+            undo: {system:diff.backward, sector:sec},
+            events: systemEvents(sysBefore, clone(storedSys)).concat(sectorEvents(sec, stripSector(clone(storedSec)))),
+        };
+    }
+
+    /**
+     * Applies a sector update to the stored current state, if it changed anything.
+     *
+     * @returns {null|{record: {}, undo: {}, events: []}}  The same as `#updateSystem`.
+     */
+    #updateSector(history, sec, instance) {
+        const storedSec = getById(history.current.sectors, sec.id);
+
+        if(storedSec == null) {
+            throw "Null sector ID: " + sec.id + " from instance " + instance;
         }
+
+        if(storedSec.owner === sec.owner && JSON.stringify(storedSec.division) === JSON.stringify(sec.division))
+            return null;
+
+        const u = stripSector(clone(storedSec));
+
+        storedSec.owner = sec.owner;
+        storedSec.division = clone(sec.division);
+
+        const after = stripSector(clone(storedSec));
+        return {record: {sector:after}, undo: {sector:u}, events: sectorEvents(u, clone(after))};
+    }
+
+    /**
+     * Notes on each system of a galaxy whether the recorder can see it, wherever the host knows.
+     */
+    #noteVisibility(galaxy) {
+        Object.values(galaxy.stellar_systems).forEach(sys => {
+            const visible = this.#host.getVisibility(sys);
+            if(visible !== null)
+                sys.visible = visible;
+        });
+    }
+
+    /**
+     * Every record is placed in both real world time and the game's own time.
+     */
+    #stamp() {
+        const clock = this.getGameClock();
+        return {time:this.#host.now().toISO(), gameTime:clock ? clock.time : null};
+    }
+
+    #pushRecord(history, record, undoR) {
+        history.currentTimestamp = record.time;
+
+        // Build the forwards/backwards snapshots
+        history.undo.push(undoR);
+        history.snapshots.push(record);
+
+        let keyframe = null;
+        if(isKeyframeDue(history, history.snapshots.length, record.time, this.#keyframeInterval, this.#keyframeHours)) {
+            const fields = new Set(DEFAULT_SYSTEM_FIELDS.concat(this.#systemDiffer.fields));
+            if(Object.values(history.current.stellar_systems).some(sys => sys.visible !== undefined))
+                fields.add("visible");
+            keyframe = createKeyframe(history.current, history.snapshots.length, record, Array.from(fields));
+            history.keyframes.push(keyframe);
+        }
+
+        this.#persistRecord(history, record, undoR, keyframe);
+        this.#emit(EVENT_RECORD_ADDED, {instance: history.instance, record: record});
+    }
+
+    /**
+     * Emits the events of a change once its record is added, placed in time by that record.
+     */
+    #emitChanges(instance, record, events) {
+        events.forEach(e => {
+            const placed = {instance: instance, time: record.time, gameTime: record.gameTime};
+            if(record.gap)
+                placed.gap = record.gap;
+            this.#emit(e.type, Object.assign(placed, e));
+        });
+    }
+
+    /**
+     * A listener that fails is logged and otherwise ignored, as nothing listening may get in the way of recording.
+     */
+    #emit(type, event) {
+        (this.#listeners[type] || []).forEach(listener => {
+            try {
+                listener(Object.assign({type: type}, event));
+            }
+            catch(err) {
+                this.#host.log("Listener for " + type + " failed for instance " + event.instance + ": " + err,
+                    LOG_ERROR);
+            }
+        });
+    }
+
+    /**
+     * Subscribes to one type of event of every history from now on, such as to react to systems being captured.
+     *
+     * @param type      One of the EVENT_ constants.
+     * @param listener  Called with each event, as described on its constant. Nothing in it may be modified.
+     * @returns {function}  Stops calling the listener.
+     */
+    on(type, listener) {
+        if(!EVENTS.includes(type)) {
+            throw "Unknown event: " + type + ", expected one of " + EVENTS.join(", ");
+        }
+
+        this.#listeners[type] = (this.#listeners[type] || []).concat(listener);
+        return () => {
+            this.#listeners[type] = this.#listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Follows every record added to any history from now on, such as to show the game live elsewhere.
+     *
+     * @param listener  Called with the instance and the record right after the record is added to the history. The
+     *                  record must not be modified.
+     * @returns {function}  Stops calling the listener.
+     */
+    addRecordListener(listener) {
+        return this.on(EVENT_RECORD_ADDED, e => listener(e.instance, e.record));
     }
 
     getSector(sector_id) {
-        return window.gamestate.game.galaxy.sectors[sector_id];
+        return this.#host.getSector(sector_id);
+    }
+
+    /**
+     * @returns {null|{time: number, speed: number}}   The game's own clock, or null if the game isn't reporting one.
+     */
+    getGameClock() {
+        return this.#host.getGameClock();
     }
 
     /**
      * Should NOT need to call this function manually.
      *
-     * Synchronous write to disk.
-     * @param history   The history JSON to write to disk.
+     * Synchronous write to storage.
+     * @param history   The history JSON to write to storage.
      */
     saveHistoryToDisk(history) {
-        fs.writeFileSync(this.#getFilePathForHistory(history.instance), JSON.stringify(history), err => {
-            if(err) {
-                window.granite.debug("[CRITICAL] FAILED TO SAVE HISTORY instance '" + history.instance + "': " + err, window.granite.levels.ERROR);
+        this.#checkWritable();
+
+        // Whatever was held back is part of what gets written now
+        this.#writeQueue.cancel(this.#getKeyForHistory(history.instance));
+
+        const key = this.#getKeyForHistory(history.instance);
+        try {
+            this.#storage.save(key, JSON.stringify(history));
+            this.#restoredKeys.delete(key);
+        }
+        catch(err) {
+            this.#host.log("[CRITICAL] FAILED TO SAVE HISTORY instance '" + history.instance + "': " + err, LOG_ERROR);
+            throw err;
+        }
+
+        this.#emit(EVENT_HISTORY_SAVED, {instance: history.instance, key: key});
+    }
+
+    /**
+     * Rebuilds a classic `history.json` from a journaled history, so the viewer has a single file to read. The
+     * journal itself is left as is and remains the source of truth for further recording.
+     *
+     * @param instance  The galaxy to compact.
+     * @returns {History}   The compacted history.
+     */
+    compactJournal(instance) {
+        this.flush();
+
+        if(!this.#storage.exists(this.#getKeyForBase(instance))) {
+            throw "No journal to compact for instance " + instance;
+        }
+
+        const history = this.#loadJournal(instance);
+        this.saveHistoryToDisk(history);
+        return history;
+    }
+
+    /**
+     * Replaces the stored history of an instance outright, such as after a repair. Journaled histories get a fresh
+     * base and journal.
+     *
+     * @param history   The history to store.
+     */
+    replaceHistory(history) {
+        this.#loadedGalaxies[history.instance] = history;
+
+        if(this.#storageMode === STORAGE_MODE_JOURNAL) {
+            this.#writeJournalFromHistory(history);
+        }
+        else {
+            this.saveHistoryToDisk(history);
+        }
+    }
+
+    /**
+     * A file that can't be read is loaded from its backup instead, but stays as it is in storage until it is next
+     * written whole, such as by `replaceHistory`.
+     *
+     * @returns {string[]}  Keys of the instance's files that were loaded from their backup since last written.
+     */
+    restoredFromBackup(instance) {
+        return Array.from(this.#restoredKeys).filter(key => key.startsWith(instance + "/"));
+    }
+
+    /**
+     * Writes any records held back by `flushDelay` right away.
+     */
+    flush() {
+        this.#writeQueue.flush();
+    }
+
+    /**
+     * @param keyframe  The keyframe taken right after this record, if any.
+     */
+    #persistRecord(history, record, undo, keyframe = null) {
+        const instance = history.instance;
+
+        if(this.#storageMode === STORAGE_MODE_JOURNAL) {
+            if(!this.#pendingEntries[instance])
+                this.#pendingEntries[instance] = [];
+            this.#pendingEntries[instance].push(journalEntry(record, undo, keyframe));
+
+            this.#writeQueue.schedule(this.#getKeyForJournal(instance), () => this.#appendToJournal(instance));
+        }
+        else {
+            this.#writeQueue.schedule(this.#getKeyForHistory(instance), () => this.saveHistoryToDisk(history));
+        }
+    }
+
+    /**
+     * Appends every pending entry of the instance in one go. The entries stay pending until the append succeeds, so
+     * a failed one is retried with the next record rather than leaving the journal short of them.
+     */
+    #appendToJournal(instance) {
+        const entries = this.#pendingEntries[instance] || [];
+        if(entries.length === 0)
+            return;
+
+        this.#checkWritable();
+        const key = this.#getKeyForJournal(instance);
+        this.#storage.append(key, entries.map(e => JSON.stringify(e) + "\n").join(""));
+        delete this.#pendingEntries[instance];
+        this.#emit(EVENT_HISTORY_SAVED, {instance: instance, key: key});
+    }
+
+    /**
+     * Writes the header and base galaxy, and starts a new journal holding any records the history already has.
+     */
+    #writeJournalFromHistory(history) {
+        this.#writeJournalBase(history);
+        this.#writeJournal(history);
+    }
+
+    #writeJournalBase(history) {
+        this.#checkWritable();
+        const header = Object.assign(new History, history);
+        delete header.current;
+        header.snapshots = [];
+        header.undo = [];
+        header.keyframes = [];
+
+        this.#storage.save(this.#getKeyForBase(history.instance), JSON.stringify(header));
+        this.#restoredKeys.delete(this.#getKeyForBase(history.instance));
+    }
+
+    #writeJournal(history) {
+        this.#checkWritable();
+
+        // Pending entries are already in the history being written
+        delete this.#pendingEntries[history.instance];
+        this.#writeQueue.cancel(this.#getKeyForJournal(history.instance));
+
+        const keyframes = {};
+        (history.keyframes || []).forEach(k => keyframes[k.index] = k);
+
+        this.#storage.save(this.#getKeyForJournal(history.instance), history.snapshots.map((s, i) =>
+            JSON.stringify(journalEntry(s, history.undo[i], keyframes[i + 1])) + "\n"
+        ).join(""));
+    }
+
+    #checkWritable() {
+        if(this.#readOnly) {
+            throw "Histories are read-only";
+        }
+    }
+
+    /**
+     * Reads the base file and replays every journal entry on top of it to rebuild the `current` state.
+     */
+    #loadJournal(instance) {
+        const history = Object.assign(new History, this.#loadJson(this.#getKeyForBase(instance)));
+        history.current = clone(history.base);
+        history.snapshots = [];
+        history.undo = [];
+        history.keyframes = [];
+
+        const journalKey = this.#getKeyForJournal(instance);
+        const lines = this.#storage.exists(journalKey) ? this.#storage.load(journalKey).split("\n") : [];
+        let truncated = false;
+        lines.forEach((line, i) => {
+            if(line.trim() === "")
+                return;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
             }
+            catch(err) {
+
+                // Only the final line can be cut short by a crash mid-append; anything earlier is real corruption.
+                if(i === lines.length - 1) {
+                    truncated = true;
+                    return;
+                }
+                throw "Corrupt journal entry on line " + (i + 1) + ": " + err;
+            }
+
+            history.snapshots.push(entry.snapshot);
+            history.undo.push(entry.undo);
+            if(entry.keyframe)
+                history.keyframes.push(entry.keyframe);
+            applyRecord(history.current, entry.snapshot);
+            history.currentTimestamp = entry.snapshot.time;
         });
+
+        // Drop the partial line, otherwise the next append would be glued onto it. A reader leaves it be, as it may
+        // just be an append still under way.
+        if(truncated && !this.#readOnly) {
+            this.#writeJournal(history);
+        }
+
+        const upgrader = new HistoryVersionUpgrader();
+        if(upgrader.shouldUpgradeHistory(history)) {
+            return upgrader.upgradeHistoryFile(history, instance);
+        }
+
+        return history;
     }
 
-    #getFilePathForHistory(instance) {
-        return this.#rootDir + instance + "/history.json";
+    /**
+     * Falls back to the backup kept by the storage if the file can't be read, as the last good copy beats losing the
+     * whole replay.
+     */
+    #loadJson(key) {
+        try {
+            return JSON.parse(this.#storage.load(key));
+        }
+        catch(err) {
+            if(!this.#storage.exists(key + BACKUP_SUFFIX)) {
+                throw err;
+            }
+
+            this.#host.log("Unable to read '" + key + "', loading its backup instead. Cause: " + err, LOG_ERROR);
+            const restored = JSON.parse(this.#storage.load(key + BACKUP_SUFFIX));
+            this.#restoredKeys.add(key);
+            return restored;
+        }
     }
 
-    #getById(list, id) {
-        let res = null;
+    #getKeyForHistory(instance) {
+        return instance + "/history.json";
+    }
 
-        if(list) {
-            list.forEach(e => {
-                if(e.id === id)
-                    res = e;
-            });
+    #getKeyForBase(instance) {
+        return instance + "/base.json";
+    }
+
+    #getKeyForJournal(instance) {
+        return instance + "/journal.jsonl";
+    }
+}
+
+/**
+ * Applies a single snapshot or undo record to the given galaxy, in place. Only the fields present on the record's
+ * `system` and `sector` objects are copied over, so partial records are fine.
+ *
+ * @param galaxy    The galaxy to modify, shaped like `History.base`.
+ * @param record    A `{time, system, sector}` record from either `History.snapshots` or `History.undo`.
+ */
+export function applyRecord(galaxy, record) {
+
+    // Gap records bundle several system/sector changes together
+    if(record.changes) {
+        record.changes.forEach(c => applyRecord(galaxy, c));
+    }
+
+    if(record.system) {
+        const sys = getById(galaxy.stellar_systems, record.system.id);
+        if(sys == null) {
+            throw "Null system ID: " + record.system.id + " while applying record at " + record.time;
         }
+        mergeRecordFields(sys, record.system);
+    }
 
-        return res;
+    if(record.sector) {
+        const sec = getById(galaxy.sectors, record.sector.id);
+        if(sec == null) {
+            throw "Null sector ID: " + record.sector.id + " while applying record at " + record.time;
+        }
+        mergeRecordFields(sec, record.sector);
+    }
+}
+
+/**
+ * Builds the undo record for a snapshot record, from the state of the galaxy just before the snapshot is applied.
+ * Fields the galaxy doesn't have yet are undone to null.
+ *
+ * @param galaxy    The galaxy the record is about to be applied to. It is not modified.
+ * @param record    A `{time, system, sector}` record from `History.snapshots`.
+ */
+export function invertRecord(galaxy, record) {
+
+    // The changes inside a gap record have no time of their own
+    const undo = record.time === undefined ? {} : {time: record.time};
+
+    if(record.changes) {
+
+        // Each change has to be inverted against the state left by the ones before it, and undone in reverse
+        const scratch = clone(galaxy);
+        undo.gap = record.gap;
+        undo.changes = record.changes.map(c => {
+            const u = invertRecord(scratch, c);
+            applyRecord(scratch, c);
+            return u;
+        }).reverse();
+    }
+
+    if(record.system) {
+        const sys = getById(galaxy.stellar_systems, record.system.id);
+        if(sys == null) {
+            throw "Null system ID: " + record.system.id + " while inverting record at " + record.time;
+        }
+        undo.system = pickRecordFields(sys, record.system);
+    }
+
+    if(record.sector) {
+        const sec = getById(galaxy.sectors, record.sector.id);
+        if(sec == null) {
+            throw "Null sector ID: " + record.sector.id + " while inverting record at " + record.time;
+        }
+        undo.sector = pickRecordFields(sec, record.sector);
     }
+
+    return undo;
+}
+
+/**
+ * Overwrites the galaxy with the state held by a keyframe. Applied to a copy of `History.base`, this gives the same
+ * galaxy as applying the first `keyframe.index` snapshots.
+ *
+ * @param galaxy    The galaxy to modify, shaped like `History.base`.
+ * @param keyframe  A keyframe from `History.keyframes`.
+ */
+export function applyKeyframe(galaxy, keyframe) {
+    [["stellar_systems", "system"], ["sectors", "sector"]].forEach(([key, name]) => {
+        keyframe[key].forEach(state => {
+            const target = getById(galaxy[key], state.id);
+            if(target == null) {
+                throw "Null " + name + " ID: " + state.id + " while applying keyframe at " + keyframe.time;
+            }
+            mergeRecordFields(target, state);
+        });
+    });
+}
+
+/**
+ * Replays a whole history from its base, taking keyframes as it goes the same way they would have been taken while
+ * recording. Keyframes stop at the first snapshot that can't be applied.
+ *
+ * @param history   The history to build keyframes for. It is not modified.
+ * @param options   `interval` and `hours` set how often keyframes are taken, defaulting to DEFAULT_KEYFRAME_INTERVAL
+ *                  and DEFAULT_KEYFRAME_HOURS. `systemFields` lists the system properties to hold, defaulting to
+ *                  DEFAULT_SYSTEM_FIELDS plus any property the snapshots change.
+ * @returns {Object[]}  The keyframes, in order.
+ */
+export function buildKeyframes(history, options = {}) {
+    const interval = options.interval || DEFAULT_KEYFRAME_INTERVAL;
+    const hours = options.hours || DEFAULT_KEYFRAME_HOURS;
+    const fields = options.systemFields || recordedSystemFields(history.snapshots);
+
+    const galaxy = clone(history.base);
+    const keyframes = [];
+    const progress = {start: history.start, keyframes: keyframes};
+
+    for(let i = 0; i < history.snapshots.length; i++) {
+        const record = history.snapshots[i];
+        try {
+            applyRecord(galaxy, record);
+        }
+        catch(err) {
+            break;
+        }
+
+        if(isKeyframeDue(progress, i + 1, record.time, interval, hours))
+            keyframes.push(createKeyframe(galaxy, i + 1, record, fields));
+    }
+
+    return keyframes;
+}
+
+/**
+ * Record timestamps are ISO strings, except for Beta files which used plain numbers.
+ */
+export function timeToMillis(time) {
+    if(typeof time === "number")
+        return time;
+    return DateTime.fromISO(time).toMillis();
+}
+
+/**
+ * The galaxy from the game may give us either an array or an object keyed by ID, so this handles both.
+ *
+ * @returns {null|Object}   The entry with the ID, or null if there is none.
+ */
+export function getById(list, id) {
+    let res = null;
+
+    if(list) {
+        Object.values(list).forEach(e => {
+            if(e.id === id)
+                res = e;
+        });
+    }
+
+    return res;
+}
+
+/**
+ * A complete history ends with its final record. One still being recorded ends, so far, with its last record, or its
+ * start if it has none.
+ */
+export function endTimeOf(history) {
+    if(history.end)
+        return history.end;
+    if(history.snapshots.length > 0)
+        return history.snapshots[history.snapshots.length - 1].time;
+    return history.start;
+}
+
+/**
+ * Fields missing from a system or sector read as null, like those the game sends unset.
+ */
+export function nullable(value) {
+    return value === undefined ? null : value;
+}
+
+/**
+ * @param history   Anything holding the `start` and `keyframes` of a history.
+ * @param index     The number of snapshots applied so far.
+ * @param time      The time of the latest of those snapshots.
+ */
+function isKeyframeDue(history, index, time, interval, hours) {
+    const last = history.keyframes.length > 0 ? history.keyframes[history.keyframes.length - 1] : null;
+    if(index - (last ? last.index : 0) >= interval)
+        return true;
+
+    const elapsed = timeToMillis(time) - timeToMillis(last ? last.time : history.start);
+    return elapsed >= hours * 60 * 60 * 1000;
+}
+
+/**
+ * A keyframe holds the state of every system and sector as it stands after the first `index` snapshots. Only the
+ * properties that records can change are kept, as everything else is in `base`.
+ *
+ * @param record    The snapshot the keyframe is taken after, which it shares its time with.
+ */
+function createKeyframe(galaxy, index, record, systemFields) {
+    return {
+        index: index,
+        time: record.time,
+        gameTime: record.gameTime === undefined ? null : record.gameTime,
+        stellar_systems: Object.values(galaxy.stellar_systems).map(sys => {
+            const state = {id: sys.id};
+            systemFields.forEach(f => state[f] = sys[f] === undefined ? null : clone(sys[f]));
+            return state;
+        }),
+        sectors: Object.values(galaxy.sectors).map(sec => ({
+            id: sec.id, owner: sec.owner === undefined ? null : sec.owner, division: clone(sec.division),
+        })),
+    };
+}
+
+/**
+ * Every system property changed by the given records, on top of the default ones.
+ */
+export function recordedSystemFields(records) {
+    const fields = new Set(DEFAULT_SYSTEM_FIELDS);
+    const add = r => {
+        if(r.system)
+            Object.keys(r.system).forEach(k => fields.add(k));
+        if(r.changes)
+            r.changes.forEach(add);
+    };
+    records.forEach(add);
+
+    SYSTEM_KEY_FIELDS.concat(["time"]).forEach(k => fields.delete(k));
+    return Array.from(fields);
+}
+
+/**
+ * One line of the journal. The keyframe taken after a record is stored alongside it.
+ */
+function journalEntry(snapshot, undo, keyframe = null) {
+    const entry = {snapshot: snapshot, undo: undo};
+    if(keyframe)
+        entry.keyframe = keyframe;
+    return entry;
+}
+
+/**
+ * @param before    The system before a change.
+ * @param after     The same system after it.
+ * @returns {Object[]}  The events of the change, without their instance and time.
+ */
+function systemEvents(before, after) {
+    const events = [];
+    const from = nullable(before.faction);
+    const to = nullable(after.faction);
+
+    if(from !== to) {
+        if(from !== null)
+            events.push({type: EVENT_SYSTEM_LOST, faction: from, to: to, before: before, after: after});
+        if(to !== null)
+            events.push({type: EVENT_SYSTEM_CAPTURED, faction: to, from: from, before: before, after: after});
+    }
+
+    if(before.status !== after.status) {
+        events.push({type: EVENT_STATUS_CHANGED, from: nullable(before.status), to: nullable(after.status),
+            before: before, after: after});
+    }
+
+    return events;
+}
+
+/**
+ * @returns {Object[]}  The events of a change to a sector, like those of `systemEvents`.
+ */
+function sectorEvents(before, after) {
+    const from = nullable(before.owner);
+    const to = nullable(after.owner);
+    if(from === to)
+        return [];
+
+    return [{type: EVENT_SECTOR_FLIPPED, from: from, to: to, before: before, after: after}];
+}
+
+/**
+ * Removes the fields of a sector that never change within a game, and so have no place in a record.
+ */
+function stripSector(sec) {
+    delete sec.adjacent;
+    delete sec.centroid;
+    delete sec.points; // these are the vertices of a sector's perimeter
+    return sec;
+}
+
+/**
+ * Moves one point of a sector's division from one faction to another, and gives the sector to whichever faction then
+ * holds the most points. A tie leaves the sector without an owner.
+ */
+function moveDivisionPoint(sec, fromFaction, toFaction) {
+    fromFaction = fromFaction === undefined ? null : fromFaction;
+    toFaction = toFaction === undefined ? null : toFaction;
+    if(fromFaction === toFaction)
+        return;
+
+    let division = sec.division ? clone(sec.division) : [];
+    const from = division.find(d => d.faction === fromFaction);
+    if(from) {
+        from.points--;
+        if(from.points <= 0)
+            division = division.filter(d => d !== from);
+    }
+
+    const to = division.find(d => d.faction === toFaction);
+    if(to)
+        to.points++;
+    else
+        division.push({faction: toFaction, points: 1});
+
+    sec.division = division;
+
+    const best = Math.max(...division.map(d => d.points));
+    const leaders = division.filter(d => d.points === best);
+    sec.owner = leaders.length === 1 ? leaders[0].faction : null;
+}
+
+function pickRecordFields(source, fields) {
+    const res = {};
+    Object.keys(fields).forEach(k => {
+        if(k !== "time")
+            res[k] = source[k] === undefined ? null : clone(source[k]);
+    });
+    return res;
+}
+
+function mergeRecordFields(target, fields) {
+    Object.keys(fields).forEach(k => {
+
+        // The time is a property of the record, not of the system or sector
+        if(k !== "time")
+            target[k] = clone(fields[k]);
+    });
 }
 
 export class History {
@@ -226,6 +1175,9 @@ export class History {
 
     // To avoid duplication, this is the base data that will never change within a game, such as coordinates,
     // names, sector boundaries, etc.
+    //
+    // Wherever the host knows, each system here and in system records also notes whether the recorder could see it
+    // at the time as `visible`: true if it could, false if the game was only showing what it last knew of it.
     base = {};
 
     // The current state of the galaxy, depending on where in the snapshot/undo history we are.
@@ -246,6 +1198,24 @@ export class History {
     // Slow = Legacy, Fast = Flash.
     gameType = "slow";
 
+    // How fast the game's own clock runs compared to real time, or null if the game didn't report it. Records store
+    // the game's time as `gameTime`.
+    gameSpeed = null;
+
+    // Whether the game is over. A complete history ends with a `final` record and is no longer recorded to.
+    complete = false;
+
+    // What real world time did the game end?
+    end = null;
+
+    // Who won the game, as reported by the game.
+    winner = null;
+
+    // Full states of the galaxy taken every so often, so playback can start from the nearest one instead of replaying
+    // every snapshot from `base`. Each holds the `index` of the snapshots it comes after, their `time` and `gameTime`,
+    // and the recorded properties of every one of the `stellar_systems` and `sectors`.
+    keyframes = [];
+
     constructor(instance, galaxy = null) {
 
         // If galaxy isn't null, then we need to construct a new history object.
@@ -255,6 +1225,7 @@ export class History {
             this.current = clone(galaxy);
             this.snapshots = [];
             this.undo = [];
+            this.keyframes = [];
             this.instance = instance;
             this.currentTimestamp = DateTime.now().toISO();
         }
@@ -267,6 +1238,177 @@ export class History {
     }
 }
 
+/**
+ * Walks a loaded `History` forwards and backwards in time, applying its snapshot and undo records to a working copy
+ * of the galaxy. The `History` itself is never modified.
+ *
+ * The player's position is the number of snapshots applied to `base`, so an index of 0 is the start of the game and
+ * an index of `snapshots.length` is the same state as `current`.
+ */
+export class HistoryPlayer {
+
+    #history = null;
+    #galaxy = null;
+    #index = 0;
+    #timeline = TIMELINE_WALL;
+
+    /**
+     * @param history   The history to play.
+     * @param options   `timeline` is the timeline `seekToTime` works in, one of TIMELINE_WALL (default) or
+     *                  TIMELINE_GAME.
+     */
+    constructor(history, options = {}) {
+        this.#history = history;
+
+        if(options.timeline) {
+            if(options.timeline !== TIMELINE_WALL && options.timeline !== TIMELINE_GAME) {
+                throw "Unknown timeline: " + options.timeline;
+            }
+            this.#timeline = options.timeline;
+        }
+
+        this.reset();
+    }
+
+    /**
+     * The working galaxy at the player's current position. Do not edit it directly.
+     */
+    get galaxy() {
+        return this.#galaxy;
+    }
+
+    get index() {
+        return this.#index;
+    }
+
+    get length() {
+        return this.#history.snapshots.length;
+    }
+
+    /**
+     * The time of the most recently applied snapshot, or the start of the history if nothing has been applied.
+     */
+    get time() {
+        if(this.#index === 0)
+            return this.#history.start;
+        return this.#history.snapshots[this.#index - 1].time;
+    }
+
+    /**
+     * The game's time at the most recently applied snapshot, or null if unknown.
+     */
+    get gameTime() {
+        if(this.#index === 0)
+            return null;
+
+        const gameTime = this.#history.snapshots[this.#index - 1].gameTime;
+        return gameTime === undefined ? null : gameTime;
+    }
+
+    reset() {
+        this.#galaxy = clone(this.#history.base);
+        this.#index = 0;
+    }
+
+    /**
+     * @returns {boolean}   False if already at the end of the history.
+     */
+    stepForward() {
+        if(this.#index >= this.length)
+            return false;
+
+        applyRecord(this.#galaxy, this.#history.snapshots[this.#index]);
+        this.#index++;
+        return true;
+    }
+
+    /**
+     * @returns {boolean}   False if already at the start of the history.
+     */
+    stepBack() {
+        if(this.#index <= 0)
+            return false;
+
+        const undo = this.#history.undo[this.#index - 1];
+        if(!undo) {
+            throw "Missing undo record for snapshot " + (this.#index - 1) + " of instance " + this.#history.instance;
+        }
+
+        applyRecord(this.#galaxy, undo);
+        this.#index--;
+        return true;
+    }
+
+    /**
+     * Starts from the nearest keyframe at or before `n` when that is closer than the player's current position.
+     */
+    seekToIndex(n) {
+        if(n < 0 || n > this.length) {
+            throw "Index " + n + " is out of range, expected 0 to " + this.length;
+        }
+
+        // The base is as good as a keyframe at index 0
+        const keyframe = this.#keyframeBefore(n);
+        const from = keyframe ? keyframe.index : 0;
+        if(n - from < Math.abs(n - this.#index)) {
+            this.reset();
+            if(keyframe) {
+                applyKeyframe(this.#galaxy, keyframe);
+                this.#index = keyframe.index;
+            }
+        }
+
+        while(this.#index < n)
+            this.stepForward();
+        while(this.#index > n)
+            this.stepBack();
+
+        return this.#index;
+    }
+
+    /**
+     * Moves to the last snapshot recorded at or before the given time, in the player's timeline.
+     *
+     * @param time  ISO timestamp to seek to, or the game's time when playing the game timeline.
+     * @returns {number}    The new index.
+     */
+    seekToTime(time) {
+        const target = this.#timeline === TIMELINE_GAME ? time : timeToMillis(time);
+        const snapshots = this.#history.snapshots;
+
+        // Snapshots are recorded in order, so the index can be found without applying any of them
+        let low = 0;
+        let high = this.length;
+        while(low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if(this.#recordTime(snapshots[mid]) <= target)
+                low = mid + 1;
+            else
+                high = mid;
+        }
+
+        return this.seekToIndex(low);
+    }
+
+    #keyframeBefore(n) {
+        let res = null;
+        (this.#history.keyframes || []).forEach(k => {
+            if(k.index <= n && (!res || k.index > res.index))
+                res = k;
+        });
+        return res;
+    }
+
+    /**
+     * Records from before the game's time was recorded are placed before everything else on the game timeline.
+     */
+    #recordTime(record) {
+        if(this.#timeline === TIMELINE_GAME)
+            return record.gameTime == null ? -Infinity : record.gameTime;
+        return timeToMillis(record.time);
+    }
+}
+
 export class HistoryVersionUpgrader {
 
     shouldUpgradeHistory(h) {
@@ -275,8 +1417,17 @@ export class HistoryVersionUpgrader {
     }
 
     isAlphaVersion(h) {
-        let hist = this.#convertHistoryToObj(h);
-        return false;
+        try {
+            let hist = this.#convertHistoryToObj(h);
+
+            // Alpha versions only ever recorded systems, so the snapshots are the raw system updates from the game,
+            // without the `type` tag Beta added once sectors were recorded too.
+            return !hist.VERSION && hist.snapshots && hist.snapshots.length > 0 && !hist.snapshots[0].system
+                && !hist.snapshots[0].type && hist.snapshots[0].id !== undefined;
+        }
+        catch(err) {
+            return false;
+        }
     }
 
     isBetaVersion(h) {
@@ -286,7 +1437,8 @@ export class HistoryVersionUpgrader {
             // Beta versions don't have the system and sector updates combined into a single snapshot record.
             // Thus, if we detect the absence of the `system` property, we know they aren't bundled together
             // and this must be an old version.
-            return !hist.VERSION && hist.snapshots && hist.snapshots.length > 0 && !hist.snapshots[0].system;
+            return !hist.VERSION && hist.snapshots && hist.snapshots.length > 0 && !hist.snapshots[0].system
+                && !this.isAlphaVersion(hist);
         }
         catch(err) {
             return false;
@@ -313,9 +1465,15 @@ export class HistoryVersionUpgrader {
         }
     }
 
-    upgradeHistoryFile(json) {
+    /**
+     * @param json      The history, either as a JSON string or an already parsed object. A parsed object is modified
+     *                  in place.
+     * @param instance  Used for older files that never stored which game they came from.
+     * @returns {History}
+     */
+    upgradeHistoryFile(json, instance = -1) {
 
-        let historyObj = JSON.parse(json);
+        let historyObj = this.#convertHistoryToObj(json);
 
         let detectedVersion = this.detectVersion(historyObj);
 
@@ -325,7 +1483,10 @@ export class HistoryVersionUpgrader {
         while(detectedVersion !== LATEST_HISTORY_VERSION) {
             switch(detectedVersion) {
                 case DUMMY_ALPHA_VERSION: historyObj = this.upgradeAlpha(historyObj); break;
-                case DUMMY_BETA_VERSION: historyObj = this.upgradeBeta(historyObj); break;
+                case DUMMY_BETA_VERSION: historyObj = this.upgradeBeta(historyObj, instance); break;
+                case VERSION_ONE: historyObj = this.upgradeVersionOne(historyObj); break;
+                case VERSION_TWO: historyObj = this.upgradeVersionTwo(historyObj); break;
+                case VERSION_THREE: historyObj = this.upgradeVersionThree(historyObj); break;
                 default: throw "Unable to upgrade history file: unknown version: " + detectedVersion;
             }
 
@@ -335,41 +1496,130 @@ export class HistoryVersionUpgrader {
         return Object.assign(new History, historyObj);
     }
 
+    /**
+     * Alpha replays are Beta replays that predate sector tracking: every snapshot is an untagged system update, and
+     * no undo history was kept. Tagging the snapshots is enough, as the Beta upgrade rebuilds sectors and undo
+     * records anyway.
+     *
+     * @param historyObj
+     */
     upgradeAlpha(historyObj) {
+        historyObj.snapshots.forEach(s => s.type = "system");
+        historyObj.undo = [];
 
+        return historyObj;
     }
 
     /**
      * Beta replays need to have sector snapshots deleted, recalculate when a sector has its control taken, and
      * bundle sector updates into a single snapshot object alongside the system update.
      *
+     * The undo records are rebuilt by replaying the system snapshots against the Beta `galaxy`, which also becomes
+     * the `base` of the new layout. Beta never recorded division points, so each system is counted as one point
+     * towards its faction when moving control of a sector around.
+     *
      * A version property is also added.
      *
      * @param historyObj
+     * @param instance  Beta files didn't store their instance, so this is used unless one is found.
      */
-    upgradeBeta(historyObj) {
+    upgradeBeta(historyObj, instance = -1) {
         historyObj.VERSION = VERSION_ONE;
 
+        const galaxy = historyObj.galaxy || {stellar_systems: [], sectors: []};
+        const current = clone(galaxy);
+        const differ = new FieldDiffer(DEFAULT_SYSTEM_FIELDS, SYSTEM_KEY_FIELDS);
+
         let newSnapshots = [];
         let undoSnapshots = [];
 
         historyObj.snapshots.forEach(s =>  {
 
             // we ignore sector updates as they are wrong, and anyway we will bundle them to system updates.
-            if(s.type === "system") {
-                delete s.type;
-                let snap = {
-                    system:s,
-                    sector:{
+            if(s.type !== "system")
+                return;
 
-                    },
-                };
+            const storedSys = getById(current.stellar_systems, s.id);
+            if(storedSys == null) {
+                throw "Null system ID: " + s.id + " while upgrading Beta history";
+            }
 
-                newSnapshots.push(snap);
+            const storedSec = getById(current.sectors, storedSys.sector_id);
+            if(storedSec == null) {
+                throw "Null sector ID: " + storedSys.sector_id + " while upgrading Beta history";
             }
+
+            const diff = differ.diff(storedSys, s);
+            if(!diff)
+                return;
+
+            const undoSec = stripSector(clone(storedSec));
+            moveDivisionPoint(storedSec, storedSys.faction, "faction" in s ? s.faction : storedSys.faction);
+            Object.assign(storedSys, clone(diff.forward));
+
+            newSnapshots.push({time:s.time, system:diff.forward, sector:stripSector(clone(storedSec))});
+            undoSnapshots.push({time:s.time, system:diff.backward, sector:undoSec});
         });
 
+        historyObj.base = galaxy;
+        historyObj.current = current;
+        delete historyObj.galaxy;
+
         historyObj.snapshots = newSnapshots;
+        historyObj.undo = undoSnapshots;
+
+        // Beta record times are plain numbers, but version one keeps the start and current time as ISO strings
+        const toISO = time => typeof time === "number" ? DateTime.fromMillis(time).toISO() : time;
+        if(historyObj.instance === undefined)
+            historyObj.instance = instance;
+        if(!historyObj.start)
+            historyObj.start = newSnapshots.length > 0 ? newSnapshots[0].time : DateTime.now().toISO();
+        if(!historyObj.currentTimestamp)
+            historyObj.currentTimestamp = newSnapshots.length > 0 ? newSnapshots[newSnapshots.length - 1].time
+                : historyObj.start;
+        historyObj.start = toISO(historyObj.start);
+        historyObj.currentTimestamp = toISO(historyObj.currentTimestamp);
+
+        return historyObj;
+    }
+
+    /**
+     * Version two records the game's own time. There is no way of knowing what it was for existing records, so
+     * they are left without a `gameTime`, and the speed is unknown.
+     *
+     * @param historyObj
+     */
+    upgradeVersionOne(historyObj) {
+        historyObj.VERSION = VERSION_TWO;
+        historyObj.gameSpeed = null;
+
+        return historyObj;
+    }
+
+    /**
+     * Version three records the end of the game. Older histories never did, so they are treated as still in
+     * progress; they get finalized if the game is seen ending later on.
+     *
+     * @param historyObj
+     */
+    upgradeVersionTwo(historyObj) {
+        historyObj.VERSION = VERSION_THREE;
+        historyObj.complete = false;
+        historyObj.end = null;
+        historyObj.winner = null;
+
+        return historyObj;
+    }
+
+    /**
+     * Version four adds keyframes, which are generated by replaying the history. A history with snapshots that can't
+     * be applied gets keyframes up to the first of them, leaving the rest for the validator to report.
+     *
+     * @param historyObj
+     */
+    upgradeVersionThree(historyObj) {
+        historyObj.VERSION = VERSION_FOUR;
+        historyObj.keyframes = buildKeyframes(historyObj);
 
         return historyObj;
     }
@@ -0,0 +1,308 @@
+import clone from "./clone.js";
+import {fieldEquals} from "./DiffEngine.mjs";
+import {
+    applyRecord, buildKeyframes, getById, History, invertRecord, LATEST_HISTORY_VERSION, timeToMillis
+} from "./HistoryManager.mjs";
+
+// How many seconds apart two players may record the same change, as neither their clocks nor their connections to
+// the game agree exactly
+export const DEFAULT_MERGE_TOLERANCE = 60;
+
+/**
+ * Combines the histories several players recorded of the same game into one. Each client only records what its own
+ * game reports while it is open, so every teammate's history has its own gaps, and together they hold more of the
+ * game than any one of them.
+ *
+ * Records are matched by what they change, the system or, for sector-only records, the sector, and by their time. Two
+ * records of the same thing from different histories within the tolerance of each other are the same change if they
+ * agree on every field they both hold, and only the first is kept. If they disagree, the one from the history given
+ * first is kept and the conflict is reported. A change caught up on after a gap is matched against whatever another
+ * history recorded of the same thing during that gap, so the exact time one player recorded beats another's gap.
+ *
+ * The merged history starts from the `base` of whichever history started first. Its undo records and keyframes are
+ * built anew from its snapshots, and records that no longer change anything once merged are left out.
+ */
+export class HistoryMerger {
+
+    // In milliseconds
+    #tolerance = DEFAULT_MERGE_TOLERANCE * 1000;
+
+    /**
+     * @param options   `tolerance` in seconds, defaulting to DEFAULT_MERGE_TOLERANCE.
+     */
+    constructor(options = {}) {
+        if(options.tolerance !== undefined) {
+            if(typeof options.tolerance !== "number" || !(options.tolerance >= 0)) {
+                throw "Expected a tolerance of 0 seconds or more, got: " + JSON.stringify(options.tolerance);
+            }
+            this.#tolerance = options.tolerance * 1000;
+        }
+    }
+
+    /**
+     * @param histories Histories of a single instance, already upgraded, the most trusted first. They are not
+     *                  modified.
+     * @returns {{history: History, duplicates: number, conflicts: Object[]}}  The merged history, the number of
+     *          records and changes left out as recorded already, and every conflict as `{kind, id, kept, dropped}`.
+     *          `kind` is "system", "sector" or "final", and `kept` and `dropped` hold the `source` index of the history
+     *          they came from, their `time` and the `change` itself.
+     */
+    merge(histories) {
+        if(!Array.isArray(histories) || histories.length === 0) {
+            throw "Expected at least one history to merge";
+        }
+
+        const instance = histories[0].instance;
+        const stranger = histories.find(h => h.instance !== instance);
+        if(stranger) {
+            throw "Expected histories of a single instance, found " + instance + " and " + stranger.instance;
+        }
+
+        const entries = [];
+        const finals = [];
+        histories.forEach((h, source) => h.snapshots.forEach((s, index) => {
+            if("final" in s)
+                finals.push({source: source, snapshot: s});
+            else if(s.changes)
+                s.changes.forEach((c, order) => entries.push(toEntry(source, index, order, s, c)));
+            else
+                entries.push(toEntry(source, index, 0, s, {system: s.system, sector: s.sector}));
+        }));
+
+        // Exact times go first, so they are the ones kept when a gap holds the same change
+        const ordered = entries.filter(e => !e.snapshot.gap).sort(byTime)
+            .concat(entries.filter(e => e.snapshot.gap).sort(byTime));
+
+        const kept = [];
+        const conflicts = [];
+        let duplicates = 0;
+
+        ordered.forEach(e => {
+            const match = this.#findMatch(kept, e);
+            if(!match) {
+                kept.push(e);
+                return;
+            }
+
+            if(agrees(match, e)) {
+                duplicates++;
+                match.sources.add(e.source);
+                addMissingFields(match, e);
+                return;
+            }
+
+            const [winner, loser] = e.source < match.source ? [e, match] : [match, e];
+            conflicts.push({kind: e.kind, id: e.id, kept: describe(winner), dropped: describe(loser)});
+            loser.sources.forEach(s => winner.sources.add(s));
+            if(winner === e)
+                kept[kept.indexOf(match)] = e;
+        });
+
+        finals.sort((a, b) => a.source - b.source);
+        const final = finals.length > 0 ? finals[0] : null;
+        finals.slice(1).forEach(f => {
+            if(fieldEquals(f.snapshot.final.winner, final.snapshot.final.winner)) {
+                duplicates++;
+                return;
+            }
+            conflicts.push({kind: "final", id: null,
+                kept: {source: final.source, time: final.snapshot.time, change: final.snapshot.final},
+                dropped: {source: f.source, time: f.snapshot.time, change: f.snapshot.final}});
+        });
+
+        const first = histories.reduce((a, b) => timeToMillis(b.start) < timeToMillis(a.start) ? b : a);
+        const records = toRecords(kept.sort(byTime));
+        if(final)
+            records.push(clone(final.snapshot));
+
+        const merged = Object.assign(new History(), {
+            VERSION: LATEST_HISTORY_VERSION,
+            instance: instance,
+            start: first.start,
+            base: clone(first.base),
+            gameType: first.gameType,
+            gameSpeed: histories.map(h => h.gameSpeed).find(s => s != null) || null,
+            complete: !!final,
+            end: final ? final.snapshot.time : null,
+            winner: final ? final.snapshot.final.winner : null,
+        });
+        duplicates += rebuild(merged, records);
+
+        return {history: merged, duplicates: duplicates, conflicts: conflicts};
+    }
+
+    /**
+     * @returns {null|Object}   The kept entry from another history that the entry is most likely the same change as.
+     */
+    #findMatch(kept, e) {
+        const candidates = kept.filter(k => k.kind === e.kind && k.id === e.id && !k.sources.has(e.source)
+            && k.time >= e.from - this.#tolerance && k.time <= e.time + this.#tolerance);
+        if(candidates.length === 0)
+            return null;
+
+        // A gap only tells how things stood at its end, so it is up against the last change recorded during it
+        if(e.snapshot.gap) {
+            const last = candidates.reduce((a, b) => b.time >= a.time ? b : a);
+            return agrees(last, e) || Math.abs(last.time - e.time) <= this.#tolerance ? last : null;
+        }
+
+        const nearest = list => list.reduce((a, b) => Math.abs(b.time - e.time) < Math.abs(a.time - e.time) ? b : a);
+        const agreeing = candidates.filter(k => agrees(k, e));
+        return nearest(agreeing.length > 0 ? agreeing : candidates);
+    }
+}
+
+/**
+ * A single change from one of the histories, placed at the time of its record, or at the end of its gap.
+ *
+ * @param index     Index of the snapshot holding the change.
+ * @param order     Index of the change within the snapshot's `changes`.
+ */
+function toEntry(source, index, order, snapshot, change) {
+    const time = timeToMillis(snapshot.time);
+    return {
+        source: source,
+        index: index,
+        order: order,
+        snapshot: snapshot,
+        change: clone(change),
+        time: time,
+        from: snapshot.gap ? timeToMillis(snapshot.gap.start) : time,
+        kind: change.system ? "system" : "sector",
+        id: change.system ? change.system.id : change.sector.id,
+
+        // Histories that recorded this change
+        sources: new Set([source]),
+    };
+}
+
+function byTime(a, b) {
+    return a.time - b.time || a.source - b.source || a.index - b.index || a.order - b.order;
+}
+
+/**
+ * Two changes agree if every field they both hold is the same, as each player only records what changed from their
+ * own view of the galaxy. Whether a system was `visible` tells who was watching rather than what changed, so it is
+ * left out.
+ */
+function agrees(a, b) {
+    const x = valuesOf(a);
+    const y = valuesOf(b);
+    return Object.keys(x).every(f => f === "visible" || !(f in y) || fieldEquals(x[f], y[f]));
+}
+
+/**
+ * A change seen by any of the players who recorded it counts as seen.
+ */
+function addMissingFields(target, other) {
+    const x = valuesOf(target);
+    const y = valuesOf(other);
+    Object.keys(y).forEach(f => {
+        if(!(f in x))
+            x[f] = clone(y[f]);
+    });
+
+    if(y.visible === true)
+        x.visible = true;
+}
+
+function valuesOf(entry) {
+    return entry.kind === "system" ? entry.change.system : entry.change.sector;
+}
+
+function describe(entry) {
+    return {source: entry.source, time: entry.snapshot.time, change: entry.change};
+}
+
+/**
+ * Turns the kept entries back into records, with the changes kept from a gap record bundled into one again.
+ *
+ * @param kept  Entries sorted by time.
+ */
+function toRecords(kept) {
+    const records = [];
+    const gaps = new Map();
+
+    kept.forEach(e => {
+        if(!e.snapshot.gap) {
+            records.push(Object.assign(stampOf(e.snapshot), e.change.system ? {system: e.change.system} : {},
+                e.change.sector ? {sector: e.change.sector} : {}));
+            return;
+        }
+
+        let record = gaps.get(e.snapshot);
+        if(!record) {
+            record = Object.assign(stampOf(e.snapshot), {gap: clone(e.snapshot.gap), changes: []});
+            gaps.set(e.snapshot, record);
+            records.push(record);
+        }
+        record.changes.push(e.change);
+    });
+
+    return records;
+}
+
+function stampOf(snapshot) {
+    const stamp = {time: snapshot.time};
+    if(snapshot.gameTime !== undefined)
+        stamp.gameTime = snapshot.gameTime;
+    return stamp;
+}
+
+/**
+ * Replays the records from the history's `base`, filling in its snapshots, undo records, current state and keyframes.
+ *
+ * @returns {number}    The number of records and changes left out as they changed nothing.
+ */
+function rebuild(history, records) {
+    const galaxy = clone(history.base);
+    const snapshots = [];
+    const undo = [];
+    let unchanged = 0;
+
+    records.forEach(r => {
+        let record = r;
+        if(r.changes) {
+            const scratch = clone(galaxy);
+            const changes = [];
+            r.changes.forEach(c => {
+                if(changesNothing(scratch, c)) {
+                    unchanged++;
+                    return;
+                }
+                applyRecord(scratch, c);
+                changes.push(c);
+            });
+
+            if(changes.length === 0)
+                return;
+            record = Object.assign({}, r, {changes: changes});
+        }
+        else if(!("final" in r) && changesNothing(galaxy, r)) {
+            unchanged++;
+            return;
+        }
+
+        // A final record changes nothing in the galaxy, so there is nothing to undo
+        undo.push(Object.assign(stampOf(record), "final" in record ? {final: null} : invertRecord(galaxy, record)));
+        applyRecord(galaxy, record);
+        snapshots.push(record);
+    });
+
+    history.snapshots = snapshots;
+    history.undo = undo;
+    history.current = galaxy;
+    history.currentTimestamp = snapshots.length > 0 ? snapshots[snapshots.length - 1].time : history.start;
+    history.keyframes = buildKeyframes(history);
+    return unchanged;
+}
+
+function changesNothing(galaxy, change) {
+    const same = (list, values) => {
+        const stored = getById(list, values.id);
+        return stored !== null && Object.keys(values).every(f => fieldEquals(stored[f], values[f]));
+    };
+
+    return (!change.system || same(galaxy.stellar_systems, change.system))
+        && (!change.sector || same(galaxy.sectors, change.sector));
+}
@@ -0,0 +1,137 @@
+import clone from "./clone.js";
+import {HistoryPlayer, nullable, TIMELINE_WALL} from "./HistoryManager.mjs";
+
+/**
+ * Answers questions about a recorded game at given points in time, such as who owned a system on a given day, or
+ * every time a sector changed hands.
+ *
+ * Results carry the names of systems and sectors from the history's `base`, so they can be read without looking
+ * anything else up.
+ */
+export class HistoryQuery {
+
+    #history = null;
+    #player = null;
+    #timeline = TIMELINE_WALL;
+
+    /**
+     * @param history   The history to query. It is not modified.
+     * @param options   `timeline` is the timeline times are given in, one of TIMELINE_WALL (default), where times
+     *                  are ISO timestamps, or TIMELINE_GAME, where they are the game's time.
+     */
+    constructor(history, options = {}) {
+        this.#history = history;
+        this.#timeline = options.timeline || TIMELINE_WALL;
+        this.#player = new HistoryPlayer(history, {timeline: this.#timeline});
+    }
+
+    /**
+     * @returns {{id, name, sector_id, owner, faction, status, visible}}   The system as of the last snapshot recorded
+     *          at or before the given time. `visible` is false if that was only what the recorder last knew of it, as
+     *          described in Visibility, and null if unknown.
+     */
+    ownerAt(systemId, time) {
+        this.#player.seekToTime(time);
+        return describeSystem(this.#findSystem(this.#player.galaxy, systemId));
+    }
+
+    /**
+     * @returns {{id, name, owner, division}}   The sector as of the last snapshot recorded at or before the given time.
+     */
+    sectorControlAt(sectorId, time) {
+        this.#player.seekToTime(time);
+        return describeSector(this.#findSector(this.#player.galaxy, sectorId));
+    }
+
+    /**
+     * @returns {Object}    A copy of the whole galaxy as of the last snapshot recorded at or before the given time,
+     *                      shaped like `History.base`.
+     */
+    galaxyAt(time) {
+        this.#player.seekToTime(time);
+        return clone(this.#player.galaxy);
+    }
+
+    /**
+     * Every state the system went through, starting with its state at the start of the history.
+     *
+     * Each entry is shaped like the result of `ownerAt`, plus the `index` of the snapshot it was changed by (counted
+     * the same way as `HistoryPlayer.index`), its `time` and `gameTime`. Changes caught up on after a period without
+     * recording also carry the `gap` they happened within, as their exact time is unknown.
+     *
+     * @returns {Object[]}
+     */
+    systemTimeline(systemId) {
+        const state = describeSystem(this.#findSystem(this.#history.base, systemId));
+        return this.#timelineOf(state, record => record.system && record.system.id === systemId ? record.system : null);
+    }
+
+    /**
+     * Every state of control the sector went through, starting with its state at the start of the history.
+     *
+     * Each entry is shaped like the result of `sectorControlAt`, plus the same `index`, `time`, `gameTime` and `gap`
+     * as the entries of `systemTimeline`.
+     *
+     * @returns {Object[]}
+     */
+    sectorTimeline(sectorId) {
+        const state = describeSector(this.#findSector(this.#history.base, sectorId));
+        return this.#timelineOf(state, record => record.sector && record.sector.id === sectorId ? record.sector : null);
+    }
+
+    /**
+     * @param state     The state at the start of the history, which is updated with every change found.
+     * @param changeOf  Returns the part of a record that applies to what is being followed, or null.
+     */
+    #timelineOf(state, changeOf) {
+        const timeline = [Object.assign({index: 0, time: this.#history.start, gameTime: null}, clone(state))];
+
+        this.#history.snapshots.forEach((record, i) => {
+
+            // Gap records hold several changes, which all happened within the gap
+            const changes = (record.changes || [record]).map(changeOf).filter(c => c !== null);
+            if(changes.length === 0)
+                return;
+
+            changes.forEach(c => Object.keys(state).forEach(k => {
+                if(k in c)
+                    state[k] = clone(c[k]);
+            }));
+
+            const entry = {index: i + 1, time: record.time, gameTime: record.gameTime == null ? null : record.gameTime};
+            if(record.gap)
+                entry.gap = record.gap;
+            timeline.push(Object.assign(entry, clone(state)));
+        });
+
+        return timeline;
+    }
+
+    #findSystem(galaxy, systemId) {
+        const sys = Object.values(galaxy.stellar_systems).find(s => s.id === systemId);
+        if(!sys) {
+            throw "Null system ID: " + systemId + " in instance " + this.#history.instance;
+        }
+        return sys;
+    }
+
+    #findSector(galaxy, sectorId) {
+        const sec = Object.values(galaxy.sectors).find(s => s.id === sectorId);
+        if(!sec) {
+            throw "Null sector ID: " + sectorId + " in instance " + this.#history.instance;
+        }
+        return sec;
+    }
+}
+
+function describeSystem(sys) {
+    return {
+        id: sys.id, name: sys.name, sector_id: sys.sector_id,
+        owner: nullable(sys.owner), faction: nullable(sys.faction), status: nullable(sys.status),
+        visible: nullable(sys.visible),
+    };
+}
+
+function describeSector(sec) {
+    return {id: sec.id, name: sec.name, owner: nullable(sec.owner), division: clone(nullable(sec.division))};
+}
@@ -0,0 +1,278 @@
+import clone from "./clone.js";
+import {
+    applyRecord, buildKeyframes, History, invertRecord, VERSION_FOUR, VERSION_ONE, VERSION_THREE, VERSION_TWO
+} from "./HistoryManager.mjs";
+
+/**
+ * The expected type of each top-level field of a `History`, per version. A trailing `?` allows null, and "any" allows
+ * anything at all.
+ *
+ * "galaxy" is an object holding `stellar_systems` and `sectors`, "records" is a list of snapshot/undo records, and
+ * "keyframes" is a list of keyframes.
+ */
+const SCHEMA_ONE = {
+    VERSION: "number",
+    start: "string",
+    base: "galaxy",
+    current: "galaxy",
+    snapshots: "records",
+    undo: "records",
+    instance: "number",
+    currentTimestamp: "string?",
+    gameType: "string",
+};
+
+const SCHEMA_TWO = Object.assign({}, SCHEMA_ONE, {
+    gameSpeed: "number?",
+});
+
+const SCHEMA_THREE = Object.assign({}, SCHEMA_TWO, {
+    complete: "boolean",
+    end: "string?",
+    winner: "any",
+});
+
+const SCHEMA_FOUR = Object.assign({}, SCHEMA_THREE, {
+    keyframes: "keyframes",
+});
+
+const SCHEMAS = {
+    [VERSION_ONE]: SCHEMA_ONE,
+    [VERSION_TWO]: SCHEMA_TWO,
+    [VERSION_THREE]: SCHEMA_THREE,
+    [VERSION_FOUR]: SCHEMA_FOUR,
+};
+
+/**
+ * Checks that a history is internally consistent: it matches its version's schema, replaying every snapshot from
+ * `base` gives `current` and passes through every keyframe, and replaying every undo record backwards from `current`
+ * gives `base`.
+ */
+export class HistoryValidator {
+
+    /**
+     * @param history   A `History`, already upgraded to a known version.
+     * @returns {string[]}  A description of every problem found; empty if the history is valid.
+     */
+    validate(history) {
+        const schemaErrors = this.#validateSchema(history);
+        if(schemaErrors.length > 0) {
+
+            // Replaying a malformed history would only produce noise on top of the real problem
+            return schemaErrors;
+        }
+
+        const errors = [];
+
+        if(history.snapshots.length !== history.undo.length) {
+            errors.push("Expected as many undo records as snapshots, found " + history.undo.length + " undo records for "
+                + history.snapshots.length + " snapshots");
+        }
+
+        const finalIndex = history.snapshots.findIndex(s => "final" in s);
+        if(finalIndex !== -1 && finalIndex !== history.snapshots.length - 1) {
+            errors.push("Snapshot " + finalIndex + " is a final record, but is followed by more snapshots");
+        }
+        if(history.complete && finalIndex === -1) {
+            errors.push("History is complete, but has no final record");
+        }
+        else if(!history.complete && finalIndex !== -1) {
+            errors.push("History has a final record, but isn't complete");
+        }
+
+        const keyframes = history.keyframes || [];
+        keyframes.forEach((k, i) => {
+            if(k.index > history.snapshots.length)
+                errors.push("Keyframe " + i + " is at index " + k.index + ", past the end of the snapshots");
+            else if(i > 0 && k.index <= keyframes[i - 1].index)
+                errors.push("Keyframe " + i + " is out of order");
+        });
+
+        const forward = clone(history.base);
+        const checkKeyframes = index => keyframes.forEach((k, i) => {
+            if(k.index === index)
+                diffGalaxies(k, forward, "Replaying snapshots to keyframe " + i, errors, true);
+        });
+
+        checkKeyframes(0);
+        history.snapshots.forEach((s, i) => {
+            try {
+                applyRecord(forward, s);
+            }
+            catch(err) {
+                errors.push("Snapshot " + i + " could not be applied: " + err);
+            }
+            checkKeyframes(i + 1);
+        });
+        diffGalaxies(history.current, forward, "Replaying snapshots from base", errors);
+
+        const backward = clone(history.current);
+        for(let i = history.undo.length - 1; i >= 0; i--) {
+            try {
+                applyRecord(backward, history.undo[i]);
+            }
+            catch(err) {
+                errors.push("Undo record " + i + " could not be applied: " + err);
+            }
+        }
+        diffGalaxies(history.base, backward, "Replaying undo records from current", errors);
+
+        return errors;
+    }
+
+    /**
+     * Rebuilds `current`, `undo` and `keyframes` from `base` plus `snapshots`, which are taken as the source of truth.
+     * Snapshots that can't be applied at all are dropped.
+     *
+     * @param history   The history to repair. It is not modified.
+     * @returns {{history: History, dropped: number[]}}    The repaired history and the indexes of dropped snapshots.
+     */
+    repair(history) {
+        const repaired = Object.assign(new History, clone(history));
+        const current = clone(repaired.base);
+        const snapshots = [];
+        const undo = [];
+        const dropped = [];
+
+        repaired.snapshots.forEach((s, i) => {
+            let u;
+            try {
+                u = invertRecord(current, s);
+                applyRecord(current, s);
+            }
+            catch(err) {
+                dropped.push(i);
+                return;
+            }
+
+            snapshots.push(s);
+            undo.push(u);
+        });
+
+        repaired.current = current;
+        repaired.snapshots = snapshots;
+        repaired.undo = undo;
+        if(repaired.VERSION >= VERSION_FOUR)
+            repaired.keyframes = buildKeyframes(repaired);
+
+        return {history: repaired, dropped: dropped};
+    }
+
+    #validateSchema(history) {
+        const schema = SCHEMAS[history.VERSION];
+        if(!schema) {
+            return ["No schema for history version " + history.VERSION + "; it may need upgrading first"];
+        }
+
+        const errors = [];
+        Object.keys(schema).forEach(field => {
+            let type = schema[field];
+            const nullable = type.endsWith("?");
+            if(nullable)
+                type = type.slice(0, -1);
+
+            const value = history[field];
+            if(value === null && nullable)
+                return;
+
+            switch(type) {
+                case "any":
+                    break;
+                case "galaxy":
+                    if(!isGalaxy(value))
+                        errors.push("Expected `" + field + "` to hold `stellar_systems` and `sectors`");
+                    break;
+                case "records":
+                    if(!Array.isArray(value))
+                        errors.push("Expected `" + field + "` to be a list of records");
+                    else
+                        value.forEach((r, i) => validateRecord(r, field + "[" + i + "]", errors));
+                    break;
+                case "keyframes":
+                    if(!Array.isArray(value))
+                        errors.push("Expected `" + field + "` to be a list of keyframes");
+                    else
+                        value.forEach((k, i) => validateKeyframe(k, field + "[" + i + "]", errors));
+                    break;
+                default:
+                    if(typeof value !== type)
+                        errors.push("Expected `" + field + "` to be a " + type + ", found " + JSON.stringify(value));
+            }
+        });
+
+        return errors;
+    }
+}
+
+function isGalaxy(value) {
+    return value !== null && typeof value === "object"
+        && typeof value.stellar_systems === "object" && value.stellar_systems !== null
+        && typeof value.sectors === "object" && value.sectors !== null;
+}
+
+/**
+ * @param isChange  True for the changes bundled inside a gap record, which take their time from the gap record.
+ */
+function validateRecord(record, label, errors, isChange = false) {
+    if(record === null || typeof record !== "object") {
+        errors.push("Expected `" + label + "` to be a record, found " + JSON.stringify(record));
+        return;
+    }
+
+    if(record.time === undefined && !isChange)
+        errors.push("Expected `" + label + "` to have a time");
+    if(!record.system && !record.sector && !record.changes && !("final" in record))
+        errors.push("Expected `" + label + "` to have a system, a sector, a list of changes or be final");
+    if(record.changes) {
+        if(isChange || !Array.isArray(record.changes) || !record.gap)
+            errors.push("Expected `" + label + "` to be a gap record with a list of changes");
+        else
+            record.changes.forEach((c, i) => validateRecord(c, label + ".changes[" + i + "]", errors, true));
+    }
+    if(record.system && record.system.id === undefined)
+        errors.push("Expected `" + label + ".system` to have an id");
+    if(record.sector && record.sector.id === undefined)
+        errors.push("Expected `" + label + ".sector` to have an id");
+}
+
+function validateKeyframe(keyframe, label, errors) {
+    if(!isGalaxy(keyframe) || !Array.isArray(keyframe.stellar_systems) || !Array.isArray(keyframe.sectors)) {
+        errors.push("Expected `" + label + "` to be a keyframe holding lists of `stellar_systems` and `sectors`");
+        return;
+    }
+
+    if(!Number.isInteger(keyframe.index) || keyframe.index < 0)
+        errors.push("Expected `" + label + "` to have an index");
+    if(keyframe.time === undefined)
+        errors.push("Expected `" + label + "` to have a time");
+}
+
+/**
+ * Compares every field of every system and sector, treating a missing field and null as equal, since undo records
+ * can only restore a missing field as null.
+ *
+ * @param partial   Only compare the fields `expected` has, such as when it is a keyframe.
+ */
+function diffGalaxies(expected, actual, label, errors, partial = false) {
+    [["stellar_systems", "System"], ["sectors", "Sector"]].forEach(([key, name]) => {
+        const actualById = {};
+        Object.values(actual[key]).forEach(e => actualById[e.id] = e);
+
+        Object.values(expected[key]).forEach(e => {
+            const other = actualById[e.id];
+            if(!other) {
+                errors.push(label + ": " + name + " " + e.id + " is missing");
+                return;
+            }
+
+            new Set(partial ? Object.keys(e) : [...Object.keys(e), ...Object.keys(other)]).forEach(f => {
+                const a = e[f] === undefined ? null : e[f];
+                const b = other[f] === undefined ? null : other[f];
+                if(JSON.stringify(a) !== JSON.stringify(b)) {
+                    errors.push(label + ": " + name + " " + e.id + " `" + f + "` is " + JSON.stringify(b)
+                        + ", expected " + JSON.stringify(a));
+                }
+            });
+        });
+    });
+}
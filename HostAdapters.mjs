@@ -0,0 +1,156 @@
+import {DateTime} from "luxon";
+
+/**
+ * Everything HistoryManager needs from the environment it records in goes through a host: logging, the live state of
+ * the galaxy, what the player can see of it, the game's clock, the real world clock, and being told when it is about
+ * to shut down.
+ *
+ * GraniteHost is used inside the game, and HeadlessHost anywhere else, such as scripts and tests.
+ */
+
+export const LOG_DEBUG = "DEBUG";
+export const LOG_INFO = "INFO";
+export const LOG_ERROR = "ERROR";
+
+/**
+ * Reads from the game through the globals set up by Granite.
+ */
+export class GraniteHost {
+
+    log(message, level = LOG_INFO) {
+        window.granite.debug(message, window.granite.levels[level]);
+    }
+
+    getSector(sector_id) {
+        return window.gamestate.game.galaxy.sectors[sector_id];
+    }
+
+    /**
+     * Whether the player can see a system right now, going by the `visibility` the game gives it, where 0 means it is
+     * out of sight and only shown as last known.
+     *
+     * @param system    The system as the game reports it.
+     * @returns {null|boolean}  Null if the game doesn't say.
+     */
+    getVisibility(system) {
+        const visibility = system ? system.visibility : undefined;
+        if(visibility === undefined || visibility === null)
+            return null;
+        return typeof visibility === "number" ? visibility > 0 : !!visibility;
+    }
+
+    /**
+     * The game's own clock, which runs at the game's speed rather than real time, and is the same for every player.
+     *
+     * Recording must go on without it, so this returns null if the game isn't reporting a time.
+     *
+     * @returns {null|{time: number, speed: number}}
+     */
+    getGameClock() {
+        try {
+            const clock = window.gamestate.game.time;
+            if(!clock || clock.now === undefined)
+                return null;
+            return {time: clock.now, speed: clock.speed === undefined ? null : clock.speed};
+        }
+        catch(err) {
+            return null;
+        }
+    }
+
+    now() {
+        return DateTime.now();
+    }
+
+    /**
+     * @param callback  Called synchronously when the game window is being closed or reloaded.
+     */
+    onExit(callback) {
+        window.addEventListener("beforeunload", () => callback());
+    }
+}
+
+/**
+ * Stands in for the game when recording from plain Node. The caller keeps `galaxy` and `clock` up to date with
+ * whatever it is replaying or simulating.
+ */
+export class HeadlessHost {
+
+    // The galaxy as the game would currently report it, shaped like `History.base`.
+    galaxy = null;
+
+    // Returns the game's clock as `{time, speed}`, or null if there is none.
+    clock = () => null;
+
+    // Returns whether the recorder can see the given system, or null if unknown.
+    visibility = () => null;
+
+    #logger = null;
+    #now = null;
+    #exitCallbacks = [];
+    #listeningForExit = false;
+
+    /**
+     * @param options   `galaxy`, `clock` and `visibility` set the fields of the same name. `logger` is called with
+     *                  each message and level, defaulting to printing errors only. `now` returns the current real world
+     *                  time as a luxon DateTime, defaulting to the system clock.
+     */
+    constructor(options = {}) {
+        this.galaxy = options.galaxy || null;
+        if(options.clock)
+            this.clock = options.clock;
+        if(options.visibility)
+            this.visibility = options.visibility;
+
+        this.#logger = options.logger || ((message, level) => {
+            if(level === LOG_ERROR)
+                console.error(message);
+        });
+        this.#now = options.now || (() => DateTime.now());
+    }
+
+    log(message, level = LOG_INFO) {
+        this.#logger(message, level);
+    }
+
+    getSector(sector_id) {
+        if(!this.galaxy) {
+            throw "No galaxy set on the headless host";
+        }
+
+        return Object.values(this.galaxy.sectors).find(s => s.id === sector_id);
+    }
+
+    getVisibility(system) {
+        const visible = this.visibility(system);
+        return visible === undefined ? null : visible;
+    }
+
+    getGameClock() {
+        return this.clock();
+    }
+
+    now() {
+        return this.#now();
+    }
+
+    /**
+     * @param callback  Called synchronously when Node exits, or when `exit` is called.
+     */
+    onExit(callback) {
+        if(!this.#listeningForExit) {
+            process.on("exit", () => this.exit());
+            this.#listeningForExit = true;
+        }
+        this.#exitCallbacks.push(callback);
+    }
+
+    /**
+     * Runs the exit callbacks, as if shutting down. Each one only ever runs once.
+     */
+    exit() {
+        const callbacks = this.#exitCallbacks;
+        this.#exitCallbacks = [];
+        callbacks.forEach(c => c());
+    }
+}
@@ -0,0 +1,185 @@
+import zlib from "zlib";
+import {escapeXml} from "./GalaxyGeometry.mjs";
+import {NEUTRAL_COLOUR, SvgRenderer} from "./SvgRenderer.mjs";
+
+// How the history is written into the page when compressed
+export const ENCODING_GZIP_BASE64 = "gzip+base64";
+
+/**
+ * Plays a replay in the page: reads the history, then recolours the frame drawn by SvgRenderer as the player moves
+ * through the snapshots. Only factions and sector owners are followed, as nothing else shows in the frame.
+ *
+ * This runs in the browser, so it must not use anything from Node or this repository.
+ */
+const PLAYER_SCRIPT = `
+(async function() {
+    const data = document.getElementById("replay-data");
+    let text = data.textContent;
+    if(data.getAttribute("data-encoding") === "${ENCODING_GZIP_BASE64}") {
+        const bytes = Uint8Array.from(atob(text.trim()), c => c.charCodeAt(0));
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+        text = await new Response(stream).text();
+    }
+
+    const history = JSON.parse(text);
+    const settings = JSON.parse(document.getElementById("replay-settings").textContent);
+    const snapshots = history.snapshots;
+
+    const systems = Array.from(document.querySelectorAll("[data-system]"));
+    const sectors = Array.from(document.querySelectorAll("[data-sector]"));
+    const slider = document.getElementById("position");
+    const play = document.getElementById("play");
+    const speed = document.getElementById("speed");
+    const labels = Array.from(document.querySelectorAll(".time, #time"));
+    slider.max = snapshots.length;
+
+    let factions = {};
+    let owners = {};
+    let index = 0;
+
+    function reset() {
+        factions = {};
+        owners = {};
+        Object.values(history.base.stellar_systems).forEach(s => factions[s.id] = s.faction == null ? null : s.faction);
+        Object.values(history.base.sectors).forEach(s => owners[s.id] = s.owner == null ? null : s.owner);
+        index = 0;
+    }
+
+    function apply(record) {
+        (record.changes || [record]).forEach(c => {
+            if(c.system && "faction" in c.system)
+                factions[c.system.id] = c.system.faction;
+            if(c.sector && "owner" in c.sector)
+                owners[c.sector.id] = c.sector.owner;
+        });
+    }
+
+    function colourOf(faction) {
+        return faction == null ? settings.neutral : settings.colours[faction] || settings.neutral;
+    }
+
+    function draw() {
+        systems.forEach(e => e.setAttribute("fill", colourOf(factions[e.getAttribute("data-system")])));
+        sectors.forEach(e => e.setAttribute("fill", colourOf(owners[e.getAttribute("data-sector")])));
+
+        const time = index === 0 ? history.start : snapshots[index - 1].time;
+        labels.forEach(e => e.textContent = new Date(time).toLocaleString());
+        slider.value = index;
+    }
+
+    function seek(n) {
+        n = Math.max(0, Math.min(snapshots.length, n));
+        if(n < index)
+            reset();
+        while(index < n)
+            apply(snapshots[index++]);
+        draw();
+    }
+
+    let timer = null;
+    function pause() {
+        clearInterval(timer);
+        timer = null;
+        play.textContent = "Play";
+    }
+
+    play.addEventListener("click", () => {
+        if(timer !== null)
+            return pause();
+
+        if(index >= snapshots.length)
+            seek(0);
+        play.textContent = "Pause";
+        timer = setInterval(() => {
+            seek(index + Number(speed.value));
+            if(index >= snapshots.length)
+                pause();
+        }, 100);
+    });
+    slider.addEventListener("input", () => seek(Number(slider.value)));
+
+    reset();
+    draw();
+    document.getElementById("controls").hidden = false;
+})().catch(e => {
+    document.getElementById("error").textContent = "This replay could not be played: " + e;
+});
+`;
+
+const STYLE = `
+body { margin: 0; background: #111; color: #ddd; font-family: sans-serif; }
+main { max-width: 100%; padding: 1em; }
+svg { max-width: 100%; height: auto; }
+#controls { display: flex; gap: 1em; align-items: center; margin-top: 0.5em; }
+#position { flex: 1; }
+`;
+
+/**
+ * Bundles a replay into a single standalone HTML page, to share with players who don't have the mod. The page holds
+ * the history, a frame drawn by SvgRenderer and a small player, and needs nothing else to play the game back, even
+ * offline.
+ *
+ * The undo records and keyframes are left out, as the page only ever plays forward from the start.
+ */
+export class HtmlExport {
+
+    #history = null;
+    #renderer = null;
+    #compress = false;
+    #title = null;
+
+    /**
+     * @param history   The history to export. It is not modified.
+     * @param options   `compress` writes the history gzipped, which takes a browser supporting DecompressionStream
+     *                  to open. `title` of the page, defaulting to the instance. `width` and `colours` are passed on
+     *                  to SvgRenderer.
+     */
+    constructor(history, options = {}) {
+        this.#history = history;
+        this.#renderer = new SvgRenderer(history, {width: options.width, colours: options.colours});
+        this.#compress = !!options.compress;
+        this.#title = options.title || "Replay of instance " + history.instance;
+    }
+
+    /**
+     * @returns {string}    The whole page.
+     */
+    toHtml() {
+        const history = this.#history;
+        const data = {
+            VERSION: history.VERSION, instance: history.instance, start: history.start, end: history.end,
+            base: history.base, snapshots: history.snapshots,
+        };
+        const settings = {colours: this.#renderer.colours, neutral: NEUTRAL_COLOUR};
+
+        let dataElement;
+        if(this.#compress) {
+            dataElement = "<script id=\"replay-data\" type=\"application/octet-stream\" data-encoding=\""
+                + ENCODING_GZIP_BASE64 + "\">" + zlib.gzipSync(JSON.stringify(data)).toString("base64") + "</script>";
+        }
+        else {
+            dataElement = "<script id=\"replay-data\" type=\"application/json\">" + scriptJson(data) + "</script>";
+        }
+
+        return "<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n<meta charset=\"utf-8\">\n"
+            + "<title>" + escapeXml(this.#title) + "</title>\n<style>" + STYLE + "</style>\n</head>\n<body>\n<main>\n"
+            + "<h1>" + escapeXml(this.#title) + "</h1>\n"
+            + this.#renderer.frameAt(history.start)
+            + "<div id=\"controls\" hidden><button id=\"play\">Play</button>"
+            + "<input id=\"position\" type=\"range\" min=\"0\" max=\"0\" value=\"0\">"
+            + "<select id=\"speed\"><option value=\"1\">1 snapshot</option>"
+            + "<option value=\"10\" selected>10 snapshots</option><option value=\"100\">100 snapshots</option></select>"
+            + "<span id=\"time\"></span></div>\n"
+            + "<p id=\"error\"></p>\n</main>\n"
+            + dataElement + "\n"
+            + "<script id=\"replay-settings\" type=\"application/json\">" + scriptJson(settings) + "</script>\n"
+            + "<script>" + PLAYER_SCRIPT + "</script>\n</body>\n</html>\n";
+    }
+}
+
+/**
+ * JSON that can't end the script element it is written into.
+ */
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, "\\u003c");
+}
@@ -0,0 +1,56 @@
+import http from "http";
+
+/**
+ * An HTTP server that can be started and stopped, as shared by ReplayServer and LiveStream.
+ */
+export class HttpListener {
+
+    #name = "";
+    #handler = null;
+    #server = null;
+
+    /**
+     * @param name      What is listening, such as "replay server", for errors.
+     * @param handler   Called with the `req` and `res` of each request.
+     */
+    constructor(name, handler) {
+        this.#name = name;
+        this.#handler = handler;
+    }
+
+    get listening() {
+        return this.#server !== null;
+    }
+
+    /**
+     * @param port      Port to listen on, or 0 for any free one.
+     * @param hostname  Address to listen on. The default only accepts connections from this machine; "0.0.0.0"
+     *                  accepts them from the network.
+     * @returns {Promise<number>}   The port listened on, once listening.
+     */
+    listen(port, hostname = "127.0.0.1") {
+        if(this.#server) {
+            throw "The " + this.#name + " is already listening";
+        }
+
+        const server = http.createServer(this.#handler);
+        this.#server = server;
+
+        return new Promise((resolve, reject) => {
+            server.once("error", reject);
+            server.listen(port, hostname, () => resolve(server.address().port));
+        });
+    }
+
+    /**
+     * @returns {Promise}   Resolves once every open connection is done.
+     */
+    close() {
+        const server = this.#server;
+        this.#server = null;
+        if(!server)
+            return Promise.resolve();
+
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+}
@@ -0,0 +1,222 @@
+import {escapeXml} from "./GalaxyGeometry.mjs";
+import {HttpListener} from "./HttpListener.mjs";
+import {NEUTRAL_COLOUR, SvgRenderer} from "./SvgRenderer.mjs";
+
+export const DEFAULT_LIVE_PORT = 8081;
+
+// Browsers and proxies drop streams that stay quiet for too long
+const KEEP_ALIVE_MILLIS = 30 * 1000;
+
+/**
+ * Follows the map on a second screen: updates the frame drawn by SvgRenderer with the state sent on connecting, then
+ * with each record as it comes. The browser reconnects by itself if the stream drops, and gets a fresh state.
+ */
+const LIVE_SCRIPT = `
+(function() {
+    const settings = JSON.parse(document.getElementById("live-settings").textContent);
+    const systems = Array.from(document.querySelectorAll("[data-system]"));
+    const sectors = Array.from(document.querySelectorAll("[data-sector]"));
+    const labels = Array.from(document.querySelectorAll(".time"));
+    const status = document.getElementById("status");
+
+    let factions = {};
+    let owners = {};
+
+    function colourOf(faction) {
+        return faction == null ? settings.neutral : settings.colours[faction] || settings.neutral;
+    }
+
+    function draw(time) {
+        systems.forEach(e => e.setAttribute("fill", colourOf(factions[e.getAttribute("data-system")])));
+        sectors.forEach(e => e.setAttribute("fill", colourOf(owners[e.getAttribute("data-sector")])));
+        labels.forEach(e => e.textContent = new Date(time).toLocaleString());
+    }
+
+    const source = new EventSource("events?instance=" + encodeURIComponent(settings.instance));
+    source.addEventListener("state", e => {
+        const state = JSON.parse(e.data);
+        factions = {};
+        owners = {};
+        Object.values(state.current.stellar_systems).forEach(s => factions[s.id] = s.faction == null ? null : s.faction);
+        Object.values(state.current.sectors).forEach(s => owners[s.id] = s.owner == null ? null : s.owner);
+        draw(state.time);
+        status.textContent = "Live";
+    });
+    source.addEventListener("record", e => {
+        const record = JSON.parse(e.data).record;
+        (record.changes || [record]).forEach(c => {
+            if(c.system && "faction" in c.system)
+                factions[c.system.id] = c.system.faction;
+            if(c.sector && "owner" in c.sector)
+                owners[c.sector.id] = c.sector.owner;
+        });
+        draw(record.time);
+    });
+    source.addEventListener("error", () => status.textContent = "Connection lost, retrying...");
+})();
+`;
+
+/**
+ * Publishes what a HistoryManager records as it happens, so a second screen or a teammate's browser can follow the
+ * game live. Streams are Server-Sent Events, which browsers read with `EventSource`:
+ *
+ *  GET /events?instance=<instance>     A `state` event with the `instance`, its `base` and `current` galaxies, the
+ *                                      `time` and the `index` of the last record, then a `record` event with the
+ *                                      `instance`, `index` and `record` for each new record of that instance.
+ *  GET /?instance=<instance>           A page showing the map as it changes.
+ *
+ * Only the instance last given to `follow` is served, which is also the one used without an `instance`. Anything else
+ * would have the game load it from disk for whoever asked.
+ */
+export class LiveStream {
+
+    #manager = null;
+    #listener = null;
+    #following = null;
+    #removeListener = null;
+    #keepAlive = null;
+
+    // Open event streams, as `{res, instance}`
+    #clients = new Set();
+
+    /**
+     * @param manager   The HistoryManager to publish the records of.
+     */
+    constructor(manager) {
+        this.#manager = manager;
+        this.#listener = new HttpListener("live stream", (req, res) => this.#handle(req, res));
+    }
+
+    /**
+     * Sets the instance to show, such as the game being played.
+     */
+    follow(instance) {
+        this.#following = instance;
+    }
+
+    /**
+     * Number of event streams open.
+     */
+    get clients() {
+        return this.#clients.size;
+    }
+
+    /**
+     * @param port      Port to listen on, or 0 for any free one.
+     * @param hostname  Address to listen on, as for HttpListener.
+     * @returns {Promise<number>}   The port listened on, once listening.
+     */
+    listen(port = DEFAULT_LIVE_PORT, hostname) {
+        const listening = this.#listener.listen(port, hostname);
+
+        this.#removeListener = this.#manager.addRecordListener((instance, record) => this.#publish(instance, record));
+        this.#keepAlive = setInterval(() => this.#clients.forEach(c => c.res.write(": keep-alive\n\n")),
+            KEEP_ALIVE_MILLIS);
+
+        // Only Node's timers can be told not to keep it running; in the game's window this is a plain number
+        if(this.#keepAlive.unref)
+            this.#keepAlive.unref();
+
+        return listening;
+    }
+
+    /**
+     * Ends every open stream and stops listening.
+     *
+     * @returns {Promise}   Resolves once closed.
+     */
+    close() {
+        if(!this.#listener.listening)
+            return Promise.resolve();
+
+        this.#removeListener();
+        clearInterval(this.#keepAlive);
+        this.#clients.forEach(c => c.res.end());
+        this.#clients.clear();
+
+        return this.#listener.close();
+    }
+
+    #handle(req, res) {
+        const url = new URL(req.url, "http://localhost");
+        const instance = this.#following;
+        const asked = url.searchParams.get("instance");
+
+        if(req.method !== "GET" || (url.pathname !== "/" && url.pathname !== "/events")) {
+            res.writeHead(404, {"Content-Type": "text/plain; charset=utf-8"});
+            res.end("Not found");
+            return;
+        }
+
+        let history;
+        try {
+            if(asked !== null && asked !== String(instance))
+                throw "Not following instance " + asked;
+            if(instance === null || !this.#manager.hasHistory(instance))
+                throw "No history for instance " + instance;
+            history = this.#manager.getHistory(instance);
+        }
+        catch(err) {
+            res.writeHead(404, {"Content-Type": "text/plain; charset=utf-8"});
+            res.end("" + err);
+            return;
+        }
+
+        if(url.pathname === "/events")
+            this.#subscribe(res, history);
+        else
+            this.#page(res, history);
+    }
+
+    #subscribe(res, history) {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Access-Control-Allow-Origin": "*",
+        });
+
+        const client = {res: res, instance: String(history.instance)};
+        this.#clients.add(client);
+        res.on("close", () => this.#clients.delete(client));
+
+        const last = history.snapshots[history.snapshots.length - 1];
+        res.write(event("state", {
+            instance: history.instance,
+            time: last ? last.time : history.start,
+            index: history.snapshots.length,
+            base: history.base,
+            current: history.current,
+        }));
+    }
+
+    #publish(instance, record) {
+        const listening = Array.from(this.#clients).filter(c => c.instance === String(instance));
+        if(listening.length === 0)
+            return;
+
+        const index = this.#manager.getHistory(instance).snapshots.length;
+        const data = event("record", {instance: instance, index: index, record: record});
+        listening.forEach(c => c.res.write(data));
+    }
+
+    #page(res, history) {
+        const renderer = new SvgRenderer(history);
+        const settings = {instance: history.instance, colours: renderer.colours, neutral: NEUTRAL_COLOUR};
+        const title = "Live map of instance " + history.instance;
+
+        res.writeHead(200, {"Content-Type": "text/html; charset=utf-8"});
+        res.end("<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n<meta charset=\"utf-8\">\n"
+            + "<title>" + escapeXml(title) + "</title>\n"
+            + "<style>body { margin: 0; background: #111; color: #ddd; font-family: sans-serif; } "
+            + "main { padding: 1em; } svg { max-width: 100%; height: auto; }</style>\n</head>\n<body>\n<main>\n"
+            + "<h1>" + escapeXml(title) + "</h1>\n<p id=\"status\">Connecting...</p>\n"
+            + renderer.frameAt(history.start) + "</main>\n"
+            + "<script id=\"live-settings\" type=\"application/json\">"
+            + JSON.stringify(settings).replace(/</g, "\\u003c") + "</script>\n"
+            + "<script>" + LIVE_SCRIPT + "</script>\n</body>\n</html>\n");
+    }
+}
+
+function event(name, data) {
+    return "event: " + name + "\ndata: " + JSON.stringify(data) + "\n\n";
+}
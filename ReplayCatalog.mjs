@@ -0,0 +1,246 @@
+import {DateTime} from "luxon";
+import {HistoryManager, STORAGE_MODE_CLASSIC, STORAGE_MODE_JOURNAL} from "./HistoryManager.mjs";
+import {HeadlessHost} from "./HostAdapters.mjs";
+import {FileSystemStorage} from "./StorageBackends.mjs";
+
+// Files making up a recorded history, in either storage mode.
+export const HISTORY_FILES = ["history.json", "base.json", "journal.jsonl"];
+
+const INDEX_KEY = "index.json";
+
+/**
+ * Keeps an `index.json` in the replays directory, summarizing every recorded game so they can be browsed without
+ * loading each history.
+ *
+ * Entries are only rebuilt when the files of their history change size or modification time.
+ */
+export class ReplayCatalog {
+
+    #rootDir = "./";
+    #storage = null;
+
+    // Entries of the last `scan`, which are reused instead of those of `index.json`
+    #scanned = null;
+
+    /**
+     * @param rootDir   The replays directory.
+     * @param storage   Where the replays are stored, defaulting to a FileSystemStorage over `rootDir`.
+     */
+    constructor(rootDir = "./dist/main/replays/", storage = null) {
+        this.#rootDir = rootDir;
+        this.#storage = storage || new FileSystemStorage(rootDir);
+    }
+
+    /**
+     * Scans the replays directory and rewrites `index.json`.
+     *
+     * A history that fails to load is still listed, with an `error` instead of its summary.
+     *
+     * @returns {Object[]}  The catalog entries, newest instance first.
+     */
+    refresh() {
+        return this.#writeIndex(this.#scan(this.#readIndex()));
+    }
+
+    /**
+     * Scans the replays directory like `refresh`, but leaves `index.json` as it is, for readers that mustn't write to
+     * the replays directory.
+     *
+     * @param sortBy        Entry field to sort by.
+     * @param descending    Sort order.
+     * @returns {Object[]}
+     */
+    scan(sortBy = "instance", descending = true) {
+        this.#scanned = this.#scan(this.#scanned || this.#readIndex());
+        return this.#scanned.slice().sort(compareBy(sortBy, descending));
+    }
+
+    /**
+     * @param known     Entries to reuse for histories whose files haven't changed since.
+     */
+    #scan(known) {
+        const previous = {};
+        known.forEach(e => previous[e.instance] = e);
+
+        const entries = [];
+        this.#storage.list("").forEach(name => {
+            const files = this.#statHistoryFiles(name);
+            if(!files)
+                return;
+
+            const instance = toInstance(name);
+            const old = previous[instance];
+            if(old && old.fileSize === files.size && old.modified === files.modified) {
+                entries.push(old);
+                return;
+            }
+
+            try {
+                entries.push(this.#summarize(instance, files));
+            }
+            catch(err) {
+                entries.push({instance: instance, fileSize: files.size, modified: files.modified, error: "" + err});
+            }
+        });
+
+        return entries;
+    }
+
+    /**
+     * Updates the entry of a single history already loaded, such as the one being recorded, without scanning the
+     * replays directory or loading any other history. Every other entry is kept as last written.
+     *
+     * @returns {Object[]}  The catalog entries, newest instance first.
+     */
+    update(history) {
+        const instance = toInstance(String(history.instance));
+        const entries = this.#readIndex().filter(e => e.instance !== instance);
+
+        const files = this.#statHistoryFiles(String(history.instance));
+        if(files)
+            entries.push(toEntry(instance, history, files));
+
+        return this.#writeIndex(entries);
+    }
+
+    /**
+     * Lists the catalog as last written by `refresh`, without scanning.
+     *
+     * @param sortBy        Entry field to sort by.
+     * @param descending    Sort order.
+     * @returns {Object[]}
+     */
+    list(sortBy = "instance", descending = true) {
+        return this.#readIndex().sort(compareBy(sortBy, descending));
+    }
+
+    /**
+     * @returns {Object|null}   The entry of the most recently started game.
+     */
+    latest() {
+        const entries = this.list("start", true).filter(e => !e.error);
+        return entries.length > 0 ? entries[0] : null;
+    }
+
+    #summarize(instance, files) {
+        const journaled = this.#storage.exists(instance + "/base.json");
+        const man = new HistoryManager(this.#rootDir, {
+            host: new HeadlessHost(), storage: this.#storage, readOnly: true,
+            storageMode: journaled ? STORAGE_MODE_JOURNAL : STORAGE_MODE_CLASSIC,
+        });
+
+        return toEntry(instance, man.getHistory(instance), files);
+    }
+
+    /**
+     * @returns {null|{size: number, modified: number}}  Combined size and latest modification of the history's
+     *                                                  files, or null if the directory holds no history.
+     */
+    #statHistoryFiles(dir) {
+        let size = 0;
+        let modified = 0;
+        let found = false;
+
+        HISTORY_FILES.forEach(f => {
+            const stat = this.#storage.stat(dir + "/" + f);
+            if(!stat)
+                return;
+
+            size += stat.size;
+            modified = Math.max(modified, stat.modified);
+            if(f !== "journal.jsonl")
+                found = true;
+        });
+
+        return found ? {size: size, modified: modified} : null;
+    }
+
+    /**
+     * @returns {Object[]}  The entries written, newest instance first.
+     */
+    #writeIndex(entries) {
+        entries.sort(compareBy("instance", true));
+        this.#storage.save(INDEX_KEY, JSON.stringify({updated: DateTime.now().toISO(), replays: entries}));
+        return entries;
+    }
+
+    #readIndex() {
+        if(!this.#storage.exists(INDEX_KEY))
+            return [];
+
+        try {
+            return JSON.parse(this.#storage.load(INDEX_KEY)).replays || [];
+        }
+        catch(err) {
+
+            // The index is only a cache, so a broken one is simply rebuilt
+            return [];
+        }
+    }
+}
+
+/**
+ * Directories are named after their instance, which is a number for every game recorded by the mod.
+ */
+function toInstance(name) {
+    return /^\d+$/.test(name) ? Number(name) : name;
+}
+
+function toEntry(instance, history, files) {
+    return {
+        instance: instance,
+        gameType: history.gameType,
+        start: history.start,
+        end: history.end,
+        complete: history.complete,
+        snapshots: history.snapshots.length,
+        factions: collectFactions(history),
+        winner: history.winner,
+        fileSize: files.size,
+        modified: files.modified,
+    };
+}
+
+/**
+ * Every faction seen holding a system or a share of a sector at any point of the game.
+ */
+function collectFactions(history) {
+    const factions = new Set();
+    const addSystem = sys => {
+        if(sys && sys.faction)
+            factions.add(sys.faction);
+    };
+    const addSector = sec => {
+        if(sec && Array.isArray(sec.division))
+            sec.division.forEach(d => d.faction && factions.add(d.faction));
+    };
+
+    [history.base, history.current].forEach(galaxy => {
+        Object.values(galaxy.stellar_systems || {}).forEach(addSystem);
+        Object.values(galaxy.sectors || {}).forEach(addSector);
+    });
+
+    history.snapshots.forEach(s => {
+        (s.changes || [s]).forEach(c => {
+            addSystem(c.system);
+            addSector(c.sector);
+        });
+    });
+
+    return Array.from(factions).sort();
+}
+
+/**
+ * Entries missing the field always sort last.
+ */
+function compareBy(field, descending) {
+    return (a, b) => {
+        const x = a[field];
+        const y = b[field];
+        if(x == null || y == null)
+            return (x == null) - (y == null);
+        if(x === y)
+            return 0;
+        return (x < y ? -1 : 1) * (descending ? -1 : 1);
+    };
+}
@@ -0,0 +1,275 @@
+import fs from "fs";
+import path from "path";
+import clone from "./clone.js";
+import {HistoryManager, HistoryPlayer, STORAGE_MODE_CLASSIC, STORAGE_MODE_JOURNAL} from "./HistoryManager.mjs";
+import {HistoryQuery} from "./HistoryQuery.mjs";
+import {HeadlessHost, LOG_ERROR} from "./HostAdapters.mjs";
+import {HttpListener} from "./HttpListener.mjs";
+import {HISTORY_FILES, ReplayCatalog} from "./ReplayCatalog.mjs";
+import {FileSystemStorage} from "./StorageBackends.mjs";
+
+export const DEFAULT_PORT = 8080;
+
+// Snapshots returned by a single request, unless asked for fewer
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+const CONTENT_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".mjs": "text/javascript; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".jsonl": "application/jsonl; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".ico": "image/x-icon",
+};
+
+/**
+ * Serves a replays directory over HTTP: its files as they are, such as the viewer, and a read-only JSON API over the
+ * recorded games under `/api/replays`:
+ *
+ *  GET /api/replays                                    The catalog, as scanned by ReplayCatalog. Takes `sort` and `asc`.
+ *  GET /api/replays/<instance>                         What the history holds, without any of its records.
+ *  GET /api/replays/<instance>/snapshots               A page of snapshots, from `offset` (0) up to `limit` of them.
+ *  GET /api/replays/<instance>/galaxy                  The galaxy at a `time`, or after the snapshot `index`, given.
+ *  GET /api/replays/<instance>/systems/<id>/timeline   Every state the system went through, as from HistoryQuery.
+ *  GET /api/replays/<instance>/sectors/<id>/timeline   The same for a sector.
+ *
+ * Histories are loaded through HistoryManager and kept until their files change, so games still being recorded are
+ * picked up as they go.
+ */
+export class ReplayServer {
+
+    #rootDir = "./";
+    #storage = null;
+    #catalog = null;
+    #host = null;
+    #listener = null;
+
+    // Loaded histories by instance, with a player and query over each, and the `stamp` of the files they came from
+    #loaded = {};
+
+    /**
+     * @param rootDir   The replays directory.
+     * @param options   `storage` the replays are read from, defaulting to a FileSystemStorage over `rootDir`.
+     *                  `host` passed on to HistoryManager, defaulting to a HeadlessHost.
+     */
+    constructor(rootDir = "./dist/main/replays/", options = {}) {
+        this.#rootDir = rootDir;
+        this.#storage = options.storage || new FileSystemStorage(rootDir);
+        this.#catalog = new ReplayCatalog(rootDir, this.#storage);
+        this.#host = options.host || new HeadlessHost();
+        this.#listener = new HttpListener("replay server", (req, res) => {
+            const response = this.handle(req.method, req.url);
+            res.writeHead(response.status, {
+                "Content-Type": response.type,
+                "Access-Control-Allow-Origin": "*",
+            });
+            res.end(req.method === "HEAD" ? undefined : response.body);
+        });
+    }
+
+    /**
+     * @param port      Port to listen on, or 0 for any free one.
+     * @param hostname  Address to listen on, as for HttpListener.
+     * @returns {Promise<number>}   The port listened on, once listening.
+     */
+    listen(port = DEFAULT_PORT, hostname) {
+        return this.#listener.listen(port, hostname);
+    }
+
+    /**
+     * @returns {Promise}   Resolves once every open connection is done.
+     */
+    close() {
+        return this.#listener.close();
+    }
+
+    /**
+     * Answers a single request, without any network involved.
+     *
+     * @param method    The HTTP method. Only GET and HEAD are allowed.
+     * @param url       The path and query of the request.
+     * @returns {{status: number, type: string, body: string|Buffer}}
+     */
+    handle(method, url) {
+        if(method !== "GET" && method !== "HEAD")
+            return error(405, "Only GET and HEAD requests are allowed");
+
+        let parsed;
+        let pathname;
+        try {
+            parsed = new URL(url, "http://localhost");
+            pathname = decodeURIComponent(parsed.pathname);
+        }
+        catch(err) {
+            return error(400, "Bad URL: " + url);
+        }
+
+        try {
+            if(pathname === "/api/replays" || pathname.startsWith("/api/replays/"))
+                return this.#api(pathname.split("/").slice(3).filter(p => p !== ""), parsed.searchParams);
+            if(pathname.startsWith("/api/"))
+                return error(404, "Unknown API: " + pathname);
+            return this.#file(pathname);
+        }
+        catch(err) {
+            this.#host.log("Failed to answer " + url + ": " + err, LOG_ERROR);
+            return error(500, "" + err);
+        }
+    }
+
+    #api(parts, params) {
+        if(parts.length === 0)
+            return json({replays: this.#catalog.scan(params.get("sort") || "instance", !params.has("asc"))});
+
+        const instance = parts[0];
+        if(!/^[\w-]+$/.test(instance) || !HISTORY_FILES.some(f => this.#storage.exists(instance + "/" + f)))
+            return error(404, "No replay for instance " + instance);
+
+        const loaded = this.#load(instance);
+        const rest = parts.slice(1);
+        if(rest.length === 0)
+            return json(describeHistory(loaded.history));
+        if(rest.length === 1 && rest[0] === "snapshots")
+            return this.#snapshots(loaded.history, params);
+        if(rest.length === 1 && rest[0] === "galaxy")
+            return this.#galaxy(loaded.player, params);
+        if(rest.length === 3 && (rest[0] === "systems" || rest[0] === "sectors") && rest[2] === "timeline")
+            return this.#timeline(loaded, rest[0], rest[1]);
+
+        return error(404, "Unknown API: /api/replays/" + parts.join("/"));
+    }
+
+    #snapshots(history, params) {
+        const offset = integerParam(params, "offset", 0);
+        const limit = integerParam(params, "limit", DEFAULT_PAGE_SIZE);
+        if(offset === null || limit === null || limit > MAX_PAGE_SIZE)
+            return error(400, "Expected an offset of 0 or more, and a limit of 0 to " + MAX_PAGE_SIZE);
+
+        return json({
+            offset: offset,
+            limit: limit,
+            total: history.snapshots.length,
+            snapshots: history.snapshots.slice(offset, offset + limit),
+        });
+    }
+
+    #galaxy(player, params) {
+        if(params.has("index")) {
+            const index = integerParam(params, "index", 0);
+            if(index === null || index > player.length)
+                return error(400, "Expected an index from 0 to " + player.length);
+            player.seekToIndex(index);
+        }
+        else if(params.has("time")) {
+            const time = params.get("time");
+            player.seekToTime(/^\d+$/.test(time) ? Number(time) : time);
+        }
+        else {
+            return error(400, "Expected a time or an index");
+        }
+
+        return json({index: player.index, time: player.time, gameTime: player.gameTime, galaxy: clone(player.galaxy)});
+    }
+
+    /**
+     * @param kind  "systems" or "sectors".
+     */
+    #timeline(loaded, kind, id) {
+        const base = loaded.history.base;
+        const list = kind === "sectors" ? base.sectors : base.stellar_systems;
+        const known = Object.values(list).find(e => String(e.id) === id);
+        if(!known)
+            return error(404, "No " + kind.slice(0, -1) + " with ID " + id);
+
+        return json(kind === "sectors" ? loaded.query.sectorTimeline(known.id) : loaded.query.systemTimeline(known.id));
+    }
+
+    /**
+     * Serves a file from the replays directory, or the `index.html` of a directory.
+     */
+    #file(pathname) {
+        const root = path.resolve(this.#rootDir);
+        let file = path.resolve(root, "." + pathname);
+        if(file !== root && !file.startsWith(root + path.sep))
+            return error(404, "Not found: " + pathname);
+
+        if(fs.existsSync(file) && fs.statSync(file).isDirectory())
+            file = path.join(file, "index.html");
+        if(!fs.existsSync(file) || !fs.statSync(file).isFile())
+            return error(404, "Not found: " + pathname);
+
+        return {
+            status: 200,
+            type: CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream",
+            body: fs.readFileSync(file),
+        };
+    }
+
+    /**
+     * Journaled histories are opened in journal mode, so they are read from the journal being recorded to. Nothing is
+     * ever written back, as the game may be appending to the very files being read.
+     */
+    #load(instance) {
+        const stamp = JSON.stringify(HISTORY_FILES.map(f => this.#storage.stat(instance + "/" + f)));
+        const cached = this.#loaded[instance];
+        if(cached && cached.stamp === stamp)
+            return cached;
+
+        const journaled = this.#storage.exists(instance + "/base.json");
+        const man = new HistoryManager(this.#rootDir, {
+            host: this.#host, storage: this.#storage, readOnly: true,
+            storageMode: journaled ? STORAGE_MODE_JOURNAL : STORAGE_MODE_CLASSIC,
+        });
+        const history = man.getHistory(instance);
+
+        this.#loaded[instance] = {
+            stamp: stamp,
+            history: history,
+            player: new HistoryPlayer(history),
+            query: new HistoryQuery(history),
+        };
+        return this.#loaded[instance];
+    }
+}
+
+function describeHistory(history) {
+    return {
+        instance: history.instance,
+        version: history.VERSION,
+        gameType: history.gameType,
+        start: history.start,
+        end: history.end,
+        currentTimestamp: history.currentTimestamp,
+        gameSpeed: history.gameSpeed,
+        complete: history.complete,
+        winner: history.winner,
+        snapshots: history.snapshots.length,
+        keyframes: (history.keyframes || []).length,
+        systems: Object.values(history.base.stellar_systems).length,
+        sectors: Object.values(history.base.sectors).length,
+    };
+}
+
+/**
+ * @returns {null|number}   The parameter as a whole number of 0 or more, its default if missing, or null if invalid.
+ */
+function integerParam(params, name, defaultValue) {
+    if(!params.has(name))
+        return defaultValue;
+
+    const value = params.get(name);
+    return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+function json(body, status = 200) {
+    return {status: status, type: CONTENT_TYPES[".json"], body: JSON.stringify(body)};
+}
+
+function error(status, message) {
+    return json({error: message}, status);
+}
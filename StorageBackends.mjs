@@ -0,0 +1,164 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Where histories are persisted. Every backend stores text under keys such as `<instance>/history.json`, relative to
+ * the replays root, and exposes the same synchronous methods:
+ *
+ *  exists(key), load(key), save(key, data), append(key, data), list(prefix), delete(key) and stat(key).
+ *
+ * Saving or appending to a key creates whatever it needs to hold it, such as the instance's directory.
+ */
+
+// Backends that can be interrupted part way through a save keep the previous contents of a key under this suffix.
+export const BACKUP_SUFFIX = ".bak";
+
+const TEMP_SUFFIX = ".tmp";
+
+/**
+ * Stores each key as a file under a root directory.
+ *
+ * Saves are written to a temporary file which then replaces the real one, so a crash mid-save leaves either the old
+ * or the new contents in place, never a truncated mix. The file being replaced is first copied to its backup.
+ */
+export class FileSystemStorage {
+
+    #rootDir = "./";
+
+    constructor(rootDir = "./dist/main/replays/") {
+        this.#rootDir = rootDir;
+        fs.mkdirSync(this.#rootDir, {recursive: true});
+    }
+
+    exists(key) {
+        return fs.existsSync(this.#path(key));
+    }
+
+    load(key) {
+        return fs.readFileSync(this.#path(key), 'utf8');
+    }
+
+    save(key, data) {
+        const file = this.#path(key);
+        const temp = file + TEMP_SUFFIX;
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+
+        // Make sure the data has actually reached the disk before it replaces anything
+        const fd = fs.openSync(temp, "w");
+        try {
+            fs.writeFileSync(fd, data);
+            fs.fsyncSync(fd);
+        }
+        finally {
+            fs.closeSync(fd);
+        }
+
+        if(fs.existsSync(file))
+            fs.copyFileSync(file, file + BACKUP_SUFFIX);
+        fs.renameSync(temp, file);
+    }
+
+    append(key, data) {
+        const file = this.#path(key);
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+        fs.appendFileSync(file, data);
+    }
+
+    /**
+     * @param prefix    A directory-like key, or "" for the root.
+     * @returns {string[]}  The names of the keys and directories directly under the prefix.
+     */
+    list(prefix = "") {
+        const dir = this.#path(prefix);
+        if(!fs.existsSync(dir))
+            return [];
+        return fs.readdirSync(dir);
+    }
+
+    delete(key) {
+        if(this.exists(key))
+            fs.rmSync(this.#path(key), {recursive: true});
+    }
+
+    /**
+     * @returns {null|{size: number, modified: number}}    Null if the key doesn't exist.
+     */
+    stat(key) {
+        if(!this.exists(key))
+            return null;
+
+        const stat = fs.statSync(this.#path(key));
+        return {size: stat.size, modified: stat.mtimeMs};
+    }
+
+    #path(key) {
+        return path.join(this.#rootDir, key);
+    }
+}
+
+/**
+ * Keeps every key in memory, for tests and tools that shouldn't touch the disk.
+ */
+export class MemoryStorage {
+
+    #files = new Map();
+
+    // Stands in for modification times, which need to change on every write even within the same millisecond
+    #writes = 0;
+
+    exists(key) {
+        if(this.#files.has(key))
+            return true;
+
+        // Like a directory, a prefix of an existing key exists too
+        const dir = key.endsWith("/") ? key : key + "/";
+        return Array.from(this.#files.keys()).some(k => k.startsWith(dir));
+    }
+
+    load(key) {
+        if(!this.#files.has(key)) {
+            throw "No such key: " + key;
+        }
+        return this.#files.get(key).data;
+    }
+
+    save(key, data) {
+        this.#write(key, "" + data);
+    }
+
+    append(key, data) {
+        this.#write(key, (this.#files.has(key) ? this.#files.get(key).data : "") + data);
+    }
+
+    list(prefix = "") {
+        const dir = prefix === "" || prefix.endsWith("/") ? prefix : prefix + "/";
+        const names = new Set();
+
+        this.#files.forEach((v, k) => {
+            if(k.startsWith(dir))
+                names.add(k.slice(dir.length).split("/")[0]);
+        });
+
+        return Array.from(names);
+    }
+
+    delete(key) {
+        const dir = key.endsWith("/") ? key : key + "/";
+        Array.from(this.#files.keys()).forEach(k => {
+            if(k === key || k.startsWith(dir))
+                this.#files.delete(k);
+        });
+    }
+
+    stat(key) {
+        if(!this.#files.has(key))
+            return null;
+
+        const file = this.#files.get(key);
+        return {size: Buffer.byteLength(file.data), modified: file.modified};
+    }
+
+    #write(key, data) {
+        this.#files.set(key, {data: data, modified: ++this.#writes});
+    }
+}
@@ -0,0 +1,260 @@
+import {DateTime} from "luxon";
+import {escapeXml, fitToWidth, sectorGeometry, systemGeometry} from "./GalaxyGeometry.mjs";
+import {endTimeOf, timeToMillis} from "./HistoryManager.mjs";
+import {HistoryQuery} from "./HistoryQuery.mjs";
+import {isUncertain} from "./Visibility.mjs";
+
+// Colours given to factions in order of their names, unless chosen otherwise
+const PALETTE = ["#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4", "#42d4f4", "#f032e6", "#bfef45", "#469990",
+    "#dcbeff"];
+
+// Colour of anything no faction holds
+export const NEUTRAL_COLOUR = "#666";
+
+const BACKGROUND_COLOUR = "#111";
+const TEXT_COLOUR = "#ddd";
+
+// Room below the map for the legend, and for the progress bar of a timelapse
+const LEGEND_HEIGHT = 30;
+const PROGRESS_HEIGHT = 4;
+
+// Share of each loop of a timelapse that plays the game, the rest holding on how it ended
+const PLAYBACK_SHARE = 0.9;
+
+/**
+ * Draws a recorded game without the viewer: the galaxy placed on the geometry of `base` as described in GalaxyGeometry,
+ * with sectors and systems coloured by the faction holding them.
+ *
+ * Frames show the galaxy at a single point in time, and a timelapse animates the whole game in a single SVG, which
+ * browsers play without any script. Times are given in the wall clock timeline, as ISO timestamps or milliseconds.
+ *
+ * Shapes carry their ID in a `data-system` or `data-sector` attribute, and the label with the time has the class
+ * `time`, so pages can recolour and relabel a frame themselves.
+ *
+ * Frames outline systems out of the recorder's sight with a dashed line, as their owner is only what was last known.
+ */
+export class SvgRenderer {
+
+    #history = null;
+    #query = null;
+    #colours = {};
+    #layout = null;
+
+    /**
+     * @param history   The history to draw. It is not modified.
+     * @param options   `width` of the pictures in pixels, defaulting to 1000; the height follows the galaxy's shape.
+     *                  `colours` picks the colour of some or all factions by name, as any SVG colour.
+     */
+    constructor(history, options = {}) {
+        if(options.width !== undefined && (typeof options.width !== "number" || options.width <= 0)) {
+            throw "Expected a positive number for width, got: " + JSON.stringify(options.width);
+        }
+
+        this.#history = history;
+        this.#query = new HistoryQuery(history);
+        this.#colours = assignColours(factionsOf(history), options.colours || {});
+
+        const base = history.base;
+        this.#layout = fitToWidth(Object.values(base.sectors).map(sectorGeometry)
+            .concat(Object.values(base.stellar_systems).map(systemGeometry)), options.width || 1000);
+    }
+
+    /**
+     * The colour of every faction that ever held anything, by name.
+     */
+    get colours() {
+        return this.#colours;
+    }
+
+    /**
+     * @returns {string}    An SVG document of the galaxy as of the last snapshot recorded at or before the given time.
+     */
+    frameAt(time) {
+        const galaxy = this.#query.galaxyAt(time);
+        const shapes = [];
+
+        Object.values(galaxy.sectors).forEach(sec => {
+            const shape = this.#sectorShape(sec, this.#colourOf(sec.owner));
+            if(shape)
+                shapes.push(shape.open + shape.close);
+        });
+        Object.values(galaxy.stellar_systems).forEach(sys => {
+            const shape = this.#systemShape(sys, this.#colourOf(sys.faction), isUncertain(sys));
+            if(shape)
+                shapes.push(shape.open + shape.close);
+        });
+
+        return this.#document(shapes, this.#formatTime(time));
+    }
+
+    /**
+     * @param count     Number of frames, at least 1.
+     * @returns {number[]}  Times in milliseconds spread evenly from the start to the end of the history, both included.
+     *                      A single frame is at the end.
+     */
+    frameTimes(count) {
+        if(!Number.isInteger(count) || count < 1) {
+            throw "Expected a positive number of frames, got: " + JSON.stringify(count);
+        }
+
+        const start = timeToMillis(this.#history.start);
+        const end = timeToMillis(endTimeOf(this.#history));
+        if(count === 1)
+            return [end];
+
+        return Array.from({length: count}, (_, i) => Math.round(start + (end - start) * i / (count - 1)));
+    }
+
+    /**
+     * A single animated SVG of the whole game, looping forever with a pause on how it ended. Every change is shown at
+     * the time it was recorded, with changes caught up on after a period without recording at the end of their gap.
+     *
+     * @param options   `duration` of one loop in seconds, defaulting to 30.
+     * @returns {string}    An SVG document.
+     */
+    timelapse(options = {}) {
+        const duration = options.duration || 30;
+        if(typeof duration !== "number" || duration <= 0) {
+            throw "Expected a positive number for duration, got: " + JSON.stringify(options.duration);
+        }
+
+        const start = timeToMillis(this.#history.start);
+        const span = Math.max(1, timeToMillis(endTimeOf(this.#history)) - start);
+        const keyTime = entry => PLAYBACK_SHARE * Math.min(1, Math.max(0, (timeToMillis(entry.time) - start) / span));
+        const base = this.#history.base;
+        const shapes = [];
+
+        Object.values(base.sectors).forEach(sec => {
+            const steps = this.#query.sectorTimeline(sec.id).map(e => [keyTime(e), this.#colourOf(e.owner)]);
+            const shape = this.#sectorShape(sec, steps[0][1]);
+            if(shape)
+                shapes.push(shape.open + animateFill(steps, duration) + shape.close);
+        });
+        Object.values(base.stellar_systems).forEach(sys => {
+            const steps = this.#query.systemTimeline(sys.id).map(e => [keyTime(e), this.#colourOf(e.faction)]);
+            const shape = this.#systemShape(sys, steps[0][1]);
+            if(shape)
+                shapes.push(shape.open + animateFill(steps, duration) + shape.close);
+        });
+
+        const {width, height} = this.#layout;
+        shapes.push("<rect x=\"0\" y=\"" + (height + LEGEND_HEIGHT) + "\" width=\"0\" height=\"" + PROGRESS_HEIGHT
+            + "\" fill=\"" + TEXT_COLOUR + "\"><animate attributeName=\"width\" keyTimes=\"0;" + PLAYBACK_SHARE
+            + ";1\" values=\"0;" + width + ";" + width + "\" dur=\"" + duration + "s\" repeatCount=\"indefinite\"/></rect>");
+
+        return this.#document(shapes, this.#formatTime(this.#history.start) + " to "
+            + this.#formatTime(endTimeOf(this.#history)), PROGRESS_HEIGHT);
+    }
+
+    /**
+     * @returns {null|{open, close}}    The shape split around where its content goes, or null without any geometry.
+     */
+    #sectorShape(sec, colour) {
+        const geometry = sectorGeometry(sec);
+        if(!geometry)
+            return null;
+
+        const title = "<title>" + escapeXml(sec.name) + "</title>";
+        if(geometry.type === "Polygon") {
+            const points = geometry.coordinates[0].map(c => this.#layout.project(c).join(",")).join(" ");
+            return {open: "<polygon data-sector=\"" + sec.id + "\" points=\"" + points + "\" fill=\"" + colour
+                + "\" fill-opacity=\"0.3\" stroke=\"#888\">" + title, close: "</polygon>"};
+        }
+
+        const [x, y] = this.#layout.project(geometry.coordinates);
+        return {open: "<circle data-sector=\"" + sec.id + "\" cx=\"" + x + "\" cy=\"" + y + "\" r=\"12\" fill=\"" + colour
+            + "\" fill-opacity=\"0.3\">" + title, close: "</circle>"};
+    }
+
+    #systemShape(sys, colour, uncertain = false) {
+        const geometry = systemGeometry(sys);
+        if(!geometry)
+            return null;
+
+        const [x, y] = this.#layout.project(geometry.coordinates);
+        const outline = uncertain ? " class=\"uncertain\" stroke=\"" + TEXT_COLOUR + "\" stroke-dasharray=\"2 1\"" : "";
+        const title = escapeXml(sys.name) + (uncertain ? " (last known)" : "");
+        return {open: "<circle data-system=\"" + sys.id + "\" cx=\"" + x + "\" cy=\"" + y + "\" r=\"4\" fill=\"" + colour
+            + "\"" + outline + "><title>" + title + "</title>", close: "</circle>"};
+    }
+
+    #document(shapes, label, extraHeight = 0) {
+        const {width, height} = this.#layout;
+        const legend = [];
+        let x = 20;
+        Object.keys(this.#colours).forEach(f => {
+            legend.push("<rect x=\"" + x + "\" y=\"" + (height + 8) + "\" width=\"12\" height=\"12\" fill=\""
+                + this.#colours[f] + "\"/><text x=\"" + (x + 16) + "\" y=\"" + (height + 18) + "\">" + escapeXml(f)
+                + "</text>");
+            x += 32 + 8 * f.length;
+        });
+
+        return "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + width + "\" height=\""
+            + (height + LEGEND_HEIGHT + extraHeight) + "\" font-family=\"sans-serif\" font-size=\"12\">\n"
+            + "<rect width=\"100%\" height=\"100%\" fill=\"" + BACKGROUND_COLOUR + "\"/>\n"
+            + "<text class=\"time\" x=\"20\" y=\"14\" fill=\"" + TEXT_COLOUR + "\">" + escapeXml(label) + "</text>\n"
+            + shapes.concat("<g fill=\"" + TEXT_COLOUR + "\">" + legend.join("") + "</g>").join("\n") + "\n</svg>\n";
+    }
+
+    #colourOf(faction) {
+        return faction == null ? NEUTRAL_COLOUR : this.#colours[faction];
+    }
+
+    /**
+     * Times are shown in the time zone the game was recorded in.
+     */
+    #formatTime(time) {
+        const zone = DateTime.fromISO(this.#history.start, {setZone: true}).zone;
+        const dateTime = typeof time === "number" ? DateTime.fromMillis(time, {zone: zone})
+            : DateTime.fromISO(time, {setZone: true});
+        return dateTime.toFormat("yyyy-MM-dd HH:mm");
+    }
+}
+
+/**
+ * Every faction holding a system or controlling a sector at any time, sorted by name.
+ */
+function factionsOf(history) {
+    const factions = new Set();
+    const add = (sys, sec) => {
+        if(sys && sys.faction != null)
+            factions.add(sys.faction);
+        if(sec && sec.owner != null)
+            factions.add(sec.owner);
+    };
+
+    Object.values(history.base.stellar_systems).forEach(sys => add(sys, null));
+    Object.values(history.base.sectors).forEach(sec => add(null, sec));
+    history.snapshots.forEach(record => (record.changes || [record]).forEach(c => add(c.system, c.sector)));
+
+    return Array.from(factions).sort();
+}
+
+function assignColours(factions, chosen) {
+    const colours = {};
+    let next = 0;
+    factions.forEach(f => colours[f] = chosen[f] || PALETTE[next++ % PALETTE.length]);
+    return colours;
+}
+
+/**
+ * @param steps     `[keyTime, colour]` pairs in order, the first at the start.
+ * @returns {string}    An animation of the fill through every change of colour, or nothing if it never changes.
+ */
+function animateFill(steps, duration) {
+    // Only the last of several changes at the same time is seen
+    const byTime = [];
+    steps.forEach(([time, colour], i) => {
+        time = i === 0 ? 0 : Math.round(time * 10000) / 10000;
+        if(byTime.length > 0 && byTime[byTime.length - 1][0] === time)
+            byTime.pop();
+        byTime.push([time, colour]);
+    });
+    const changes = byTime.filter((c, i) => i === 0 || c[1] !== byTime[i - 1][1]);
+
+    if(changes.length < 2)
+        return "";
+
+    return "<animate attributeName=\"fill\" calcMode=\"discrete\" dur=\"" + duration + "s\" repeatCount=\"indefinite\""
+        + " keyTimes=\"" + changes.map(c => c[0]).join(";") + "\" values=\"" + changes.map(c => c[1]).join(";") + "\"/>";
+}
@@ -0,0 +1,302 @@
+import {DateTime} from "luxon";
+import clone from "./clone.js";
+import {applyRecord, endTimeOf, getById, nullable, timeToMillis} from "./HistoryManager.mjs";
+
+const FACTION = "faction";
+const PLAYER = "player";
+
+/**
+ * Walks a `History` from start to end and sums up the territory of every faction and every player over time.
+ *
+ * Factions hold systems, control sectors, and hold division points in sectors. Players only ever hold systems, so
+ * their sector counts are always zero.
+ *
+ * Changes caught up on after a period without recording are counted at the end of their gap, as that is the only
+ * time known for them. They are left out of figures per day, which they would skew towards the day the gap ended.
+ */
+export class TerritoryStats {
+
+    #history = null;
+
+    // Stats by faction name and by player name, shaped as described on `factions`
+    #factions = {};
+    #players = {};
+
+    /**
+     * @param history   The history to sum up. It is not modified.
+     */
+    constructor(history) {
+        this.#history = history;
+        this.#compute();
+    }
+
+    /**
+     * Stats of every faction, by name. Each holds:
+     *
+     *  series          Every change in territory: the `index`, `time` and `gameTime` of the snapshot, the number of
+     *                  `systems` held and `sectors` controlled, and `points` as division points by sector ID.
+     *  peakSystems     The most systems held at once, and the first `time` that was reached.
+     *  peakSectors     The same for sectors.
+     *  captures        Number of systems taken.
+     *  losses          Number of systems lost.
+     *  longestHeld     The system held for the longest uninterrupted stretch: its `id` and `name`, `from` and `to`
+     *                  times, and `days` held. Systems still held count up to the end of the history.
+     *  swingPerDay     Captures, losses and the `net` of both on each day that had any, by ISO date. Those caught up
+     *                  on after a gap are only counted in `captures` and `losses`.
+     */
+    get factions() {
+        return this.#factions;
+    }
+
+    /**
+     * Stats of every player, by name, shaped like those of `factions`.
+     */
+    get players() {
+        return this.#players;
+    }
+
+    toJSON() {
+        return {
+            instance: this.#history.instance,
+            start: this.#history.start,
+            end: endTimeOf(this.#history),
+            factions: this.#factions,
+            players: this.#players,
+        };
+    }
+
+    /**
+     * @returns {string}    Every change in territory, one row per faction or player and snapshot.
+     */
+    seriesCsv() {
+        const rows = [["type", "name", "index", "time", "gameTime", "systems", "sectors", "points"]];
+        this.#forEachEntity((type, name, stats) => stats.series.forEach(s => rows.push([
+            type, name, s.index, s.time, s.gameTime, s.systems, s.sectors,
+            Object.values(s.points).reduce((a, b) => a + b, 0),
+        ])));
+        return toCsv(rows);
+    }
+
+    /**
+     * @returns {string}    Every change in the division points of a faction, one row per faction, sector and snapshot.
+     */
+    divisionCsv() {
+        const rows = [["faction", "sector_id", "sector_name", "index", "time", "gameTime", "points"]];
+        const names = {};
+        Object.values(this.#history.base.sectors).forEach(sec => names[sec.id] = sec.name);
+
+        Object.keys(this.#factions).forEach(name => {
+            let previous = {};
+            this.#factions[name].series.forEach(s => {
+                new Set([...Object.keys(previous), ...Object.keys(s.points)]).forEach(id => {
+                    const points = s.points[id] || 0;
+                    if(points !== (previous[id] || 0))
+                        rows.push([name, id, names[id], s.index, s.time, s.gameTime, points]);
+                });
+                previous = s.points;
+            });
+        });
+
+        return toCsv(rows);
+    }
+
+    /**
+     * @returns {string}    The derived stats, one row per faction or player.
+     */
+    summaryCsv() {
+        const rows = [["type", "name", "peak_systems", "peak_systems_time", "peak_sectors", "peak_sectors_time",
+            "captures", "losses", "longest_held_id", "longest_held_name", "longest_held_days"]];
+        this.#forEachEntity((type, name, stats) => {
+            const held = stats.longestHeld || {};
+            rows.push([type, name, stats.peakSystems.count, stats.peakSystems.time, stats.peakSectors.count,
+                stats.peakSectors.time, stats.captures, stats.losses, held.id, held.name, held.days]);
+        });
+        return toCsv(rows);
+    }
+
+    #forEachEntity(callback) {
+        Object.keys(this.#factions).forEach(name => callback(FACTION, name, this.#factions[name]));
+        Object.keys(this.#players).forEach(name => callback(PLAYER, name, this.#players[name]));
+    }
+
+    #compute() {
+        const history = this.#history;
+        const galaxy = clone(history.base);
+
+        // When each system was taken by its current faction and player, by system ID
+        const heldSince = {};
+        Object.values(galaxy.stellar_systems).forEach(sys => heldSince[sys.id] = {
+            [FACTION]: history.start, [PLAYER]: history.start,
+        });
+
+        this.#sample(galaxy, 0, history.start, null);
+
+        history.snapshots.forEach((record, i) => {
+            (record.changes || [record]).forEach(change => {
+                const before = change.system ? getById(galaxy.stellar_systems, change.system.id) : null;
+                const was = before ? {[FACTION]: before.faction, [PLAYER]: before.owner} : null;
+
+                applyRecord(galaxy, change);
+
+                if(before) {
+                    const is = {[FACTION]: before.faction, [PLAYER]: before.owner};
+                    [FACTION, PLAYER].forEach(type => this.#countFlip(type, before, was[type], is[type], record,
+                        heldSince));
+                }
+            });
+
+            this.#sample(galaxy, i + 1, record.time, record.gameTime == null ? null : record.gameTime);
+        });
+
+        // Whatever is still held counts up to the end
+        const end = endTimeOf(this.#history);
+        Object.values(galaxy.stellar_systems).forEach(sys => {
+            this.#endHold(this.#entity(FACTION, sys.faction), sys, heldSince[sys.id][FACTION], end);
+            this.#endHold(this.#entity(PLAYER, sys.owner), sys, heldSince[sys.id][PLAYER], end);
+        });
+    }
+
+    /**
+     * Counts a system changing hands between two factions, or two players.
+     *
+     * @param record    The record holding the change, which may be a gap.
+     */
+    #countFlip(type, sys, from, to, record, heldSince) {
+        from = nullable(from);
+        to = nullable(to);
+        if(from === to)
+            return;
+
+        const time = record.time;
+        const day = record.gap ? null : toDay(time);
+        const loser = this.#entity(type, from);
+        if(loser) {
+            loser.losses++;
+            addSwing(loser, day, 0, 1);
+            this.#endHold(loser, sys, heldSince[sys.id][type], time);
+        }
+
+        const winner = this.#entity(type, to);
+        if(winner) {
+            winner.captures++;
+            addSwing(winner, day, 1, 0);
+        }
+
+        heldSince[sys.id][type] = time;
+    }
+
+    #endHold(stats, sys, from, to) {
+        if(!stats)
+            return;
+
+        const days = (timeToMillis(to) - timeToMillis(from)) / (24 * 60 * 60 * 1000);
+        if(!stats.longestHeld || days > stats.longestHeld.days)
+            stats.longestHeld = {id: sys.id, name: sys.name, from: from, to: to, days: days};
+    }
+
+    /**
+     * Adds a point to the series of every faction and player whose territory changed.
+     */
+    #sample(galaxy, index, time, gameTime) {
+        const now = {[FACTION]: {}, [PLAYER]: {}};
+        const current = (type, name) => {
+            if(!now[type][name])
+                now[type][name] = {systems: 0, sectors: 0, points: {}};
+            return now[type][name];
+        };
+
+        Object.values(galaxy.stellar_systems).forEach(sys => {
+            if(sys.faction != null)
+                current(FACTION, sys.faction).systems++;
+            if(sys.owner != null)
+                current(PLAYER, sys.owner).systems++;
+        });
+        Object.values(galaxy.sectors).forEach(sec => {
+            if(sec.owner != null)
+                current(FACTION, sec.owner).sectors++;
+            (sec.division || []).forEach(d => {
+                if(d.faction != null && d.points > 0)
+                    current(FACTION, d.faction).points[sec.id] = d.points;
+            });
+        });
+
+        [[FACTION, this.#factions], [PLAYER, this.#players]].forEach(([type, all]) => {
+
+            // Anyone who held something before but nothing now has dropped to zero
+            Object.keys(all).forEach(name => current(type, name));
+
+            Object.keys(now[type]).forEach(name => {
+                const stats = this.#entity(type, name);
+                const last = stats.series[stats.series.length - 1];
+                const state = now[type][name];
+                if(last && last.systems === state.systems && last.sectors === state.sectors
+                    && JSON.stringify(last.points) === JSON.stringify(state.points))
+                    return;
+
+                stats.series.push(Object.assign({index: index, time: time, gameTime: gameTime}, state));
+                if(state.systems > stats.peakSystems.count)
+                    stats.peakSystems = {count: state.systems, time: time};
+                if(state.sectors > stats.peakSectors.count)
+                    stats.peakSectors = {count: state.sectors, time: time};
+            });
+        });
+    }
+
+    /**
+     * @returns {null|Object}   The stats of the named faction or player, created if needed, or null if there is no name.
+     */
+    #entity(type, name) {
+        if(name == null)
+            return null;
+
+        const all = type === FACTION ? this.#factions : this.#players;
+        if(!all[name]) {
+            all[name] = {
+                series: [],
+                peakSystems: {count: 0, time: null},
+                peakSectors: {count: 0, time: null},
+                captures: 0,
+                losses: 0,
+                longestHeld: null,
+                swingPerDay: {},
+            };
+        }
+        return all[name];
+    }
+}
+
+/**
+ * @param day   The ISO date, or null if the day isn't known.
+ */
+function addSwing(stats, day, captures, losses) {
+    if(day === null)
+        return;
+    if(!stats.swingPerDay[day])
+        stats.swingPerDay[day] = {captures: 0, losses: 0, net: 0};
+
+    const swing = stats.swingPerDay[day];
+    swing.captures += captures;
+    swing.losses += losses;
+    swing.net = swing.captures - swing.losses;
+}
+
+/**
+ * The calendar day of a record, in the time zone it was recorded in.
+ */
+function toDay(time) {
+    if(typeof time === "number")
+        return DateTime.fromMillis(time).toISODate();
+    return DateTime.fromISO(time, {setZone: true}).toISODate();
+}
+
+function toCsv(rows) {
+    return rows.map(r => r.map(csvField).join(",")).join("\n") + "\n";
+}
+
+function csvField(value) {
+    if(value === null || value === undefined)
+        return "";
+
+    const text = "" + value;
+    return /[",\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+}
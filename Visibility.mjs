@@ -0,0 +1,92 @@
+import clone from "./clone.js";
+import {fieldEquals} from "./DiffEngine.mjs";
+import {applyRecord, getById, History, recordedSystemFields} from "./HistoryManager.mjs";
+import {HistoryValidator} from "./HistoryValidator.mjs";
+
+/**
+ * What the recorder of a game actually saw of it. The game goes on showing systems out of the player's sight as they
+ * were last known, so where the host could tell, HistoryManager notes on the systems of `base` and of system records
+ * whether they were `visible` at the time.
+ *
+ * Anything without that note is taken as seen, so histories recorded without knowing visibility are left as they are.
+ */
+
+/**
+ * @param system    A system as in `History.base` or a system record, or as given by HistoryQuery.
+ * @returns {boolean}   Whether what the system shows was only what the recorder last knew of it.
+ */
+export function isUncertain(system) {
+    return system.visible === false;
+}
+
+/**
+ * Keeps only what the recorder of a history saw: systems out of sight at the start are held by nobody, changes
+ * recorded while out of sight are left out, and a system coming back into sight catches up on everything the
+ * recorder then saw of it. Sectors are kept as they are.
+ *
+ * @param history   The history to filter. It is not modified.
+ * @returns {History}   A copy of the history, with its undo records, current state and keyframes built anew.
+ */
+export function confirmedHistory(history) {
+    const confirmed = Object.assign(new History(), clone(history));
+    const fields = recordedSystemFields(history.snapshots).filter(f => f !== "visible");
+
+    Object.values(confirmed.base.stellar_systems).forEach(sys => {
+        if(isUncertain(sys))
+            fields.forEach(f => sys[f] = null);
+    });
+
+    // The galaxy as recorded, and as the confirmed copy has it so far
+    const recorded = clone(history.base);
+    const shown = clone(confirmed.base);
+
+    confirmed.snapshots = [];
+    history.snapshots.forEach(record => {
+        if("final" in record) {
+            confirmed.snapshots.push(clone(record));
+            return;
+        }
+
+        if(!record.changes) {
+            const kept = confirmChange(record, recorded, shown, fields);
+            if(kept)
+                confirmed.snapshots.push(kept);
+            return;
+        }
+
+        const changes = record.changes.map(c => confirmChange(c, recorded, shown, fields)).filter(c => c !== null);
+        if(changes.length > 0)
+            confirmed.snapshots.push(Object.assign(clone(record), {changes: changes}));
+    });
+
+    confirmed.undo = [];
+    return new HistoryValidator().repair(confirmed).history;
+}
+
+/**
+ * @param recorded  The galaxy as recorded up to the change, which it is applied to.
+ * @param shown     The galaxy as confirmed up to the change, which what is kept of it is applied to.
+ * @returns {null|Object}   What is confirmed of the change, or null if nothing is.
+ */
+function confirmChange(change, recorded, shown, fields) {
+    applyRecord(recorded, change);
+
+    const kept = clone(change);
+    if(change.system && isUncertain(change.system)) {
+        delete kept.system;
+    }
+    else if(change.system) {
+        const now = getById(recorded.stellar_systems, change.system.id);
+        const was = getById(shown.stellar_systems, change.system.id);
+        fields.forEach(f => {
+            if(!fieldEquals(now[f], was[f]))
+                kept.system[f] = clone(now[f]);
+        });
+    }
+
+    if(!kept.system && !kept.sector)
+        return null;
+
+    applyRecord(shown, kept);
+    return kept;
+}
@@ -0,0 +1,99 @@
+/**
+ * Holds back writes for a short while so that a burst of them, such as several systems flipping in one update, ends
+ * up as a single write.
+ *
+ * Each write is scheduled under an id. Scheduling an id that is already pending replaces the earlier write, so only
+ * the latest one for each id runs once the queue is flushed.
+ */
+export class WriteQueue {
+
+    #delay = 0;
+    #pending = new Map();
+    #timer = null;
+    #onError = null;
+
+    /**
+     * @param delay     Milliseconds to wait after the first scheduled write before flushing. With 0, every write
+     *                  runs as soon as it is scheduled.
+     * @param onError   Called with any error thrown by a write flushed on the timer, as there is no caller left to
+     *                  throw to.
+     */
+    constructor(delay = 0, onError = err => { throw err; }) {
+        this.#delay = delay;
+        this.#onError = onError;
+    }
+
+    /**
+     * @param id    Identifies what is written, so that later writes of the same thing replace it.
+     * @param write Function doing the write.
+     */
+    schedule(id, write) {
+        if(this.#delay <= 0) {
+            write();
+            return;
+        }
+
+        // Re-inserting moves the id to the back, keeping writes in the order they were last scheduled
+        this.#pending.delete(id);
+        this.#pending.set(id, write);
+
+        if(this.#timer === null) {
+            this.#timer = setTimeout(() => {
+                try {
+                    this.flush();
+                }
+                catch(err) {
+                    this.#onError(err);
+                }
+            }, this.#delay);
+
+            // A pending write shouldn't keep Node running on its own; whoever owns the queue flushes it on exit.
+            if(this.#timer.unref)
+                this.#timer.unref();
+        }
+    }
+
+    /**
+     * Drops a pending write, such as one made redundant by a write that has already gone through.
+     */
+    cancel(id) {
+        this.#pending.delete(id);
+    }
+
+    isPending(id) {
+        return this.#pending.has(id);
+    }
+
+    get size() {
+        return this.#pending.size;
+    }
+
+    /**
+     * Runs every pending write right away. All of them are attempted even if one fails; the first error is then
+     * rethrown.
+     */
+    flush() {
+        if(this.#timer !== null) {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+
+        const writes = Array.from(this.#pending.values());
+        this.#pending.clear();
+
+        let error = null;
+        writes.forEach(write => {
+            try {
+                write();
+            }
+            catch(err) {
+                if(error === null)
+                    error = err;
+            }
+        });
+
+        if(error !== null) {
+            throw error;
+        }
+    }
+}
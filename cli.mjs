@@ -0,0 +1,387 @@
+import fs from "fs";
+import {HeatmapExport} from "./HeatmapExport.mjs";
+import {HighlightDetector} from "./HighlightDetector.mjs";
+import {HistoryManager, HistoryVersionUpgrader, STORAGE_MODE_CLASSIC, STORAGE_MODE_JOURNAL} from "./HistoryManager.mjs";
+import {HistoryMerger} from "./HistoryMerger.mjs";
+import {HistoryValidator} from "./HistoryValidator.mjs";
+import {HtmlExport} from "./HtmlExport.mjs";
+import {HeadlessHost} from "./HostAdapters.mjs";
+import {FileSystemStorage} from "./StorageBackends.mjs";
+import {ReplayCatalog} from "./ReplayCatalog.mjs";
+import {DEFAULT_PORT, ReplayServer} from "./ReplayServer.mjs";
+import {SvgRenderer} from "./SvgRenderer.mjs";
+import {TerritoryStats} from "./TerritoryStats.mjs";
+import {confirmedHistory} from "./Visibility.mjs";
+
+/**
+ * Command line tools for working with recorded replays outside of the game.
+ *
+ * Usage: node cli.mjs <command> [args...] [--root=<replays dir>] [--confirmed]
+ */
+
+const DEFAULT_ROOT_DIR = "./dist/main/replays/";
+
+const COMMANDS = {
+    validate: {
+        usage: "validate <instance> [--repair]",
+        description: "Checks a history for consistency. With --repair, rebuilds `current` and `undo` from `snapshots`.",
+        run: validate,
+    },
+    catalog: {
+        usage: "catalog [--sort=<field>] [--asc]",
+        description: "Refreshes index.json and lists every recorded game, newest first unless sorted otherwise.",
+        run: catalog,
+    },
+    stats: {
+        usage: "stats <instance> [--csv=series|division|summary]",
+        description: "Prints territory statistics of every faction and player as JSON, or one of its tables as CSV.",
+        run: stats,
+    },
+    highlights: {
+        usage: "highlights <instance> [--limit=<n>] [--json]",
+        description: "Lists the best moments of a game as chapters, with the snapshot index to jump to.",
+        run: highlights,
+    },
+    heatmap: {
+        usage: "heatmap <instance> [--svg] [--width=<pixels>]",
+        description: "Prints where a game was fought over as GeoJSON, or with --svg as a static picture.",
+        run: heatmap,
+    },
+    render: {
+        usage: "render <instance> [--at=<time>[,<time>...] | --frames=<n> | --timelapse [--duration=<seconds>]]"
+            + " [--width=<pixels>] [--out=<dir>]",
+        description: "Draws the galaxy coloured by faction as SVG frames at the given times, or evenly spread over the "
+            + "game, or as one animated timelapse. Defaults to a single frame of the end of the game.",
+        run: render,
+    },
+    export: {
+        usage: "export <instance> [--compress] [--width=<pixels>] [--out=<file>]",
+        description: "Writes the replay as one standalone HTML page that plays it back in any browser, to "
+            + "<instance>.html unless given another file.",
+        run: exportHtml,
+    },
+    merge: {
+        usage: "merge <instance> <history file>... [--tolerance=<seconds>] [--out=<file>]",
+        description: "Merges history files teammates recorded of the same game into the one in the replays "
+            + "directory, which wins any conflict, then the files in the order given. With --out, writes the result "
+            + "there instead.",
+        run: merge,
+    },
+    serve: {
+        usage: "serve [--port=<port>] [--host=<address>]",
+        description: "Serves the replays directory and a JSON API over its games until stopped. Only this machine "
+            + "can connect unless --host=0.0.0.0.",
+        run: serve,
+    },
+};
+
+const STATS_CSV = {
+    series: s => s.seriesCsv(),
+    division: s => s.divisionCsv(),
+    summary: s => s.summaryCsv(),
+};
+
+function validate(args, options) {
+    const instance = requireArg(args, 0, "instance");
+    const man = createManager(options, instance);
+    const validator = new HistoryValidator();
+
+    const history = man.getHistory(instance);
+
+    // A file read from its backup is a problem of its own, even if the backup itself is fine
+    const errors = man.restoredFromBackup(instance)
+        .map(key => "Unable to read '" + key + "'; its backup was read instead.")
+        .concat(validator.validate(history));
+
+    if(errors.length === 0) {
+        console.log("History for instance " + instance + " is valid.");
+        return 0;
+    }
+
+    errors.forEach(e => console.log(e));
+    console.log(errors.length + " problem(s) found in instance " + instance + ".");
+
+    if(!options.repair)
+        return 1;
+
+    const res = validator.repair(history);
+    res.dropped.forEach(i => console.log("Dropped snapshot " + i + " as it could not be applied."));
+
+    const remaining = validator.validate(res.history);
+    if(remaining.length > 0) {
+        remaining.forEach(e => console.log(e));
+        console.log("Unable to repair instance " + instance + "; nothing was written.");
+        return 1;
+    }
+
+    man.replaceHistory(res.history);
+    console.log("Repaired instance " + instance + ".");
+    return 0;
+}
+
+function catalog(args, options) {
+    const cat = new ReplayCatalog(options.root || DEFAULT_ROOT_DIR);
+    cat.refresh();
+
+    const entries = cat.list(options.sort || "instance", !options.asc);
+    if(entries.length === 0) {
+        console.log("No replays found.");
+        return 0;
+    }
+
+    entries.forEach(e => {
+        if(e.error) {
+            console.log(e.instance + "\tunreadable: " + e.error);
+            return;
+        }
+
+        console.log([
+            e.instance, e.gameType, e.start, e.complete ? e.end : "in progress", e.snapshots + " snapshots",
+            e.factions.join(","), e.winner ? "winner: " + e.winner : "", Math.round(e.fileSize / 1024) + " KiB",
+        ].join("\t"));
+    });
+
+    return 0;
+}
+
+function stats(args, options) {
+    const instance = requireArg(args, 0, "instance");
+    const territory = new TerritoryStats(loadHistory(options, instance));
+
+    if(!options.csv) {
+        console.log(JSON.stringify(territory, null, 2));
+        return 0;
+    }
+
+    const table = STATS_CSV[options.csv];
+    if(!table) {
+        throw "Unknown CSV table: " + options.csv + ", expected one of " + Object.keys(STATS_CSV).join(", ");
+    }
+
+    process.stdout.write(table(territory));
+    return 0;
+}
+
+function highlights(args, options) {
+    const instance = requireArg(args, 0, "instance");
+    const history = loadHistory(options, instance);
+    const chapters = new HighlightDetector().chapters(history, options.limit ? Number(options.limit) : undefined);
+
+    if(options.json) {
+        console.log(JSON.stringify(chapters, null, 2));
+        return 0;
+    }
+
+    if(chapters.length === 0) {
+        console.log("Nothing stood out in instance " + instance + ".");
+        return 0;
+    }
+
+    chapters.forEach(c => console.log([c.startIndex, c.start, c.title, c.description].join("\t")));
+    return 0;
+}
+
+function heatmap(args, options) {
+    const instance = requireArg(args, 0, "instance");
+    const map = new HeatmapExport(loadHistory(options, instance));
+
+    if(options.svg) {
+        process.stdout.write(map.toSvg({width: options.width ? Number(options.width) : undefined}));
+        return 0;
+    }
+
+    console.log(JSON.stringify(map.toGeoJSON(), null, 2));
+    return 0;
+}
+
+/**
+ * A single picture is printed unless `--out` is given, more than one needs it.
+ */
+function render(args, options) {
+    const instance = requireArg(args, 0, "instance");
+    const renderer = new SvgRenderer(loadHistory(options, instance), {
+        width: options.width ? Number(options.width) : undefined,
+    });
+
+    const pictures = [];
+    if(options.timelapse) {
+        pictures.push({name: instance + "-timelapse.svg",
+            svg: renderer.timelapse({duration: options.duration ? Number(options.duration) : undefined})});
+    }
+    else {
+        const times = options.at ? options.at.split(",") : renderer.frameTimes(options.frames ? Number(options.frames) : 1);
+        times.forEach((t, i) => pictures.push({name: instance + "-" + String(i).padStart(4, "0") + ".svg",
+            svg: renderer.frameAt(t)}));
+    }
+
+    if(!options.out) {
+        if(pictures.length > 1) {
+            throw "Expected --out=<dir> to write " + pictures.length + " frames to";
+        }
+        process.stdout.write(pictures[0].svg);
+        return 0;
+    }
+
+    const dir = options.out.endsWith("/") ? options.out : options.out + "/";
+    fs.mkdirSync(dir, {recursive: true});
+    pictures.forEach(p => {
+        fs.writeFileSync(dir + p.name, p.svg);
+        console.log(dir + p.name);
+    });
+    return 0;
+}
+
+function exportHtml(args, options) {
+    const instance = requireArg(args, 0, "instance");
+    const page = new HtmlExport(loadHistory(options, instance), {
+        compress: !!options.compress, width: options.width ? Number(options.width) : undefined,
+    });
+
+    const file = options.out || instance + ".html";
+    fs.writeFileSync(file, page.toHtml());
+    console.log(file);
+    return 0;
+}
+
+function merge(args, options) {
+    const instance = requireArg(args, 0, "instance");
+    const files = args.slice(1);
+    requireArg(files, 0, "history file");
+
+    const man = createManager(options, instance);
+    const upgrader = new HistoryVersionUpgrader();
+    const sources = [];
+    const histories = [];
+    if(man.hasHistory(instance)) {
+        sources.push("the replays directory");
+        histories.push(man.getHistory(instance));
+    }
+    files.forEach(f => {
+        const history = upgrader.upgradeHistoryFile(fs.readFileSync(f, "utf8"), Number(instance));
+        if(String(history.instance) !== instance) {
+            throw "Expected a history of instance " + instance + " in " + f + ", found instance " + history.instance;
+        }
+        sources.push(f);
+        histories.push(history);
+    });
+
+    const merger = new HistoryMerger({tolerance: options.tolerance ? Number(options.tolerance) : undefined});
+    const res = merger.merge(histories);
+
+    res.conflicts.forEach(c => {
+        console.log("Conflict over " + c.kind + (c.id === null ? "" : " " + c.id) + ": kept "
+            + JSON.stringify(c.kept.change) + " at " + c.kept.time + " from " + sources[c.kept.source] + ", dropped "
+            + JSON.stringify(c.dropped.change) + " at " + c.dropped.time + " from " + sources[c.dropped.source] + ".");
+    });
+    console.log("Merged " + histories.length + " histories of instance " + instance + " into "
+        + res.history.snapshots.length + " snapshots, leaving out " + res.duplicates + " duplicate(s) and "
+        + res.conflicts.length + " conflict(s).");
+
+    if(options.out) {
+        fs.writeFileSync(options.out, JSON.stringify(res.history));
+        console.log(options.out);
+        return 0;
+    }
+
+    man.replaceHistory(res.history);
+    return 0;
+}
+
+/**
+ * Runs until interrupted with Ctrl+C.
+ */
+async function serve(args, options) {
+    const host = options.host || "127.0.0.1";
+    const server = new ReplayServer(options.root || DEFAULT_ROOT_DIR);
+    const port = await server.listen(options.port ? Number(options.port) : DEFAULT_PORT, host);
+    console.log("Serving replays at http://" + host + ":" + port + "/, press Ctrl+C to stop.");
+
+    await new Promise(resolve => process.once("SIGINT", resolve));
+    await server.close();
+    return 0;
+}
+
+/**
+ * Journaled histories are opened in journal mode so any rewrite keeps them journaled.
+ */
+function createManager(options, instance = null) {
+    const rootDir = options.root || DEFAULT_ROOT_DIR;
+    const storage = new FileSystemStorage(rootDir);
+    const journaled = instance !== null && storage.exists(instance + "/base.json");
+
+    return new HistoryManager(rootDir, {
+        host: new HeadlessHost(), storage: storage,
+        storageMode: journaled ? STORAGE_MODE_JOURNAL : STORAGE_MODE_CLASSIC,
+    });
+}
+
+/**
+ * With --confirmed, only what the recorder saw of the game, for the commands that only read it.
+ */
+function loadHistory(options, instance) {
+    const history = createManager(options, instance).getHistory(instance);
+    return options.confirmed ? confirmedHistory(history) : history;
+}
+
+function requireArg(args, index, name) {
+    if(args[index] === undefined) {
+        throw "Missing argument: " + name;
+    }
+    return args[index];
+}
+
+/**
+ * Splits `--name=value` and `--flag` options from positional arguments.
+ */
+function parseArgs(argv) {
+    const args = [];
+    const options = {};
+
+    argv.forEach(a => {
+        if(a.startsWith("--")) {
+            const eq = a.indexOf("=");
+            if(eq === -1)
+                options[a.slice(2)] = true;
+            else
+                options[a.slice(2, eq)] = a.slice(eq + 1);
+        }
+        else {
+            args.push(a);
+        }
+    });
+
+    if(options.root && !options.root.endsWith("/"))
+        options.root += "/";
+
+    return {args: args, options: options};
+}
+
+function printUsage() {
+    console.log("Usage: node cli.mjs <command> [args...] [--root=<replays dir, default " + DEFAULT_ROOT_DIR + ">]"
+        + " [--confirmed]");
+    console.log("");
+    console.log("  --confirmed leaves out what the recorder couldn't see for stats, highlights, heatmap, render and "
+        + "export.");
+    console.log("");
+    Object.values(COMMANDS).forEach(c => {
+        console.log("  " + c.usage);
+        console.log("      " + c.description);
+    });
+}
+
+const {args, options} = parseArgs(process.argv.slice(2));
+const command = COMMANDS[args.shift()];
+
+if(!command) {
+    printUsage();
+    process.exitCode = 1;
+}
+else {
+    try {
+        process.exitCode = await command.run(args, options);
+    }
+    catch(err) {
+        console.error("Error: " + err);
+        process.exitCode = 1;
+    }
+}
@@ -1,25 +1,61 @@
-import {HistoryManager} from "./HistoryManager.mjs";
+import {HistoryManager, STORAGE_MODE_CLASSIC, STORAGE_MODE_JOURNAL} from "./HistoryManager.mjs";
+import {LiveStream} from "./LiveStream.mjs";
+import {ReplayCatalog} from "./ReplayCatalog.mjs";
+import {GraniteHost} from "./HostAdapters.mjs";
 let fs = require("fs");
 let clone = require("./clone");
 
+// Set to a port to follow the game live in a browser at http://localhost:<port>/, such as on a second screen
+const LIVE_STREAM_PORT = null;
+
+// Address the live stream listens on. "0.0.0.0" lets teammates on the same network follow along too.
+const LIVE_STREAM_HOST = "127.0.0.1";
+
+// Set to STORAGE_MODE_JOURNAL to append each capture to a journal instead of rewriting the whole history. The
+// history.json read by the viewer is then only rebuilt when the game is loaded again or ends.
+const STORAGE_MODE = STORAGE_MODE_CLASSIC;
+
 class ReplayMaker {
     constructor() {
-        this.historyManager = new HistoryManager();
+        // Holding writes back for a moment turns a burst of flips from one update into a single write
+        this.historyManager = new HistoryManager(undefined, {
+            host: new GraniteHost(), storageMode: STORAGE_MODE, flushDelay: 2000,
+        });
+        this.catalog = new ReplayCatalog();
         this.name = "Replay History";
+
+        this.liveStream = null;
+        if(LIVE_STREAM_PORT) {
+            this.liveStream = new LiveStream(this.historyManager);
+            this.liveStream.listen(LIVE_STREAM_PORT, LIVE_STREAM_HOST).catch(err => {
+                window.granite.debug("Error in starting the live stream: " + err, window.granite.levels.ERROR);
+            });
+        }
     }
 
     gameLoaded() {
 
         window.granite.debug("Game load detected; checking for replay data.");
 
-        // No point in creating a history if the game is already over.
+        let instance = window.gamestate.game.auth.instance;
+
+        let snapshot = this.#getGalaxy();
+
+        if(this.liveStream) {
+            this.liveStream.follow(instance);
+        }
+
+        // No point in creating a history if the game is already over, but one we already have may have missed the end.
         if(this.#gameEnded()) {
             window.granite.debug("Game ended, not bothering with history data.");
+            if(this.historyManager.hasHistory(instance) && !this.historyManager.getHistory(instance).complete) {
+                this.historyManager.applyCatchUp(instance, Object.values(snapshot.stellar_systems),
+                    Object.values(snapshot.sectors));
+                this.#finishHistory(instance);
+            }
             return;
         }
 
-        let instance = window.gamestate.game.auth.instance;
-        let snapshot = this.#getGalaxy();
         if(!this.historyManager.hasHistory(instance)) {
             try {
                 this.historyManager.processNewInstance(instance, snapshot);
@@ -33,29 +69,100 @@ class ReplayMaker {
         // state of the game
         else {
             window.granite.debug("Updating history to current state!", window.granite.levels.DEBUG);
-            Object.values(snapshot.stellar_systems).forEach(s => {
-                s.unknownTime = true;
-                this.historyManager.applySystemUpdate(s, instance);
-            });
+
+            // We can't know when any of these changes happened, so they get recorded as one gap in the history
+            this.historyManager.applyCatchUp(instance, Object.values(snapshot.stellar_systems),
+                Object.values(snapshot.sectors));
+
+            // Refresh the viewer's copy with everything recorded up until now
+            this.#compact(instance);
         }
+
+        this.#refreshCatalog(instance);
     }
 
     update(data) {
+        let instance = window.gamestate.game.auth.instance;
 
-        // No need to process incoming updates if game has ended.
-        if(this.#gameEnded()) {
+        // The update announcing the victory can still carry the flips that decided it, which belong in the history
+        // before it is closed off. Once it is, there is nothing left to record.
+        const ended = this.#gameEnded();
+        if(ended && (!this.historyManager.hasHistory(instance) || this.historyManager.getHistory(instance).complete)) {
             window.granite.debug("Game ended, not bothering with history updates.");
             return;
         }
 
         if(data.global_galaxy_system || data.global_galaxy_sector) {
             window.granite.debug("Applying system/sector update.");
-            let instance = window.gamestate.game.auth.instance;
 
             // it is safer to use deep-copies of the updates, as HistoryManager may make edits to the objects.
             if(data.global_galaxy_system) {
                 this.historyManager.applySystemUpdate(clone(data.global_galaxy_system), instance);
             }
+            if(data.global_galaxy_sector) {
+                this.historyManager.applySectorUpdate(clone(data.global_galaxy_sector), instance);
+            }
+        }
+
+        if(ended) {
+            this.#finishHistory(instance);
+        }
+    }
+
+    /**
+     * Lets other mods react to what is recorded, such as captures, without reading the game's updates themselves. See
+     * the EVENT_ constants of HistoryManager for the events and what each holds.
+     *
+     * @param type      The event, such as "systemCaptured".
+     * @param listener  Called with each event of that type.
+     * @returns {function}  Stops calling the listener.
+     */
+    on(type, listener) {
+        return this.historyManager.on(type, listener);
+    }
+
+    /**
+     * Writes the final record of the history, if not done already.
+     */
+    #finishHistory(instance) {
+        try {
+            if(!this.historyManager.hasHistory(instance) || this.historyManager.getHistory(instance).complete) {
+                return;
+            }
+
+            window.granite.debug("Game over, finalizing history.", window.granite.levels.DEBUG);
+            this.historyManager.finalizeHistory(instance, window.gamestate.game.victory.winner);
+            this.#compact(instance);
+        }
+        catch(err) {
+            window.granite.debug("Error in finalizing history: " + err, window.granite.levels.ERROR);
+        }
+
+        this.#refreshCatalog(instance);
+    }
+
+    /**
+     * Rebuilds the viewer's `history.json` from the journal. Classic histories are always written whole already.
+     */
+    #compact(instance) {
+        if(STORAGE_MODE === STORAGE_MODE_JOURNAL) {
+            this.historyManager.compactJournal(instance);
+        }
+    }
+
+    /**
+     * The catalog is only a convenience for browsing replays, so failing to update it must not stop recording. Only the
+     * entry of the game being played is updated, from the history already in memory; loading every other replay here
+     * would stall the game, and is left to the command line tools.
+     */
+    #refreshCatalog(instance) {
+        try {
+            if(this.historyManager.hasHistory(instance)) {
+                this.catalog.update(this.historyManager.getHistory(instance));
+            }
+        }
+        catch(err) {
+            window.granite.debug("Error in refreshing the replay catalog: " + err, window.granite.levels.ERROR);
         }
     }
 
@@ -0,0 +1,98 @@
+import assert from 'assert';
+import {HeatmapExport} from "../../HeatmapExport.mjs";
+import {createGalaxy, FACTION_ARK, FACTION_TET, recordGame} from "./fixtures/RecordedGame.mjs";
+
+const FIRST_FLIP_TIME = "2022-03-03T10:00:00.000-04:00";
+const SECOND_FLIP_TIME = "2022-03-06T10:00:00.000-04:00";
+const GAP_TIME = "2022-03-11T10:00:00.000-04:00";
+
+describe("HeatmapExport", function() {
+
+    // HeatmapExport instance under test
+    let heatmap = undefined;
+
+    beforeEach(function() {
+        heatmap = new HeatmapExport(createHeatmapHistory());
+    });
+
+    function properties(kind, id) {
+        return heatmap.toGeoJSON().features.find(f => f.properties.kind === kind && f.properties.id === id).properties;
+    }
+
+    describe("#toGeoJSON", function() {
+        it("should count flips and days held by each faction", function() {
+            const alpha = properties("system", 1);
+            assert.equal(alpha.flips, 3);
+            assert.deepStrictEqual(alpha.daysByFaction, {[FACTION_ARK]: 3, [FACTION_TET]: 2 + 5});
+            assert.strictEqual(alpha.heat, 1);
+
+            const beta = properties("system", 2);
+            assert.equal(beta.flips, 0);
+            assert.deepStrictEqual(beta.daysByFaction, {[FACTION_TET]: 10});
+            assert.strictEqual(beta.heat, 0);
+        });
+
+        it("should count the days a sector was contested, including for its systems", function() {
+            const core = properties("sector", 0);
+            assert.equal(core.daysContested, 3);
+            assert.equal(core.flips, 0);
+            assert.deepStrictEqual(core.daysByFaction, {[FACTION_TET]: 10});
+            assert.strictEqual(core.heat, 0.3);
+            assert.equal(properties("system", 2).daysContested, 3);
+            assert.equal(properties("sector", 1).daysContested, 0);
+        });
+
+        it("should place features on the geometry of the base", function() {
+            const features = heatmap.toGeoJSON().features;
+            assert.deepStrictEqual(features.map(f => f.geometry && f.geometry.type), ["Polygon", null, "Point", "Point", null]);
+
+            // Rings are closed, and both shapes of coordinates are accepted
+            assert.deepStrictEqual(features[0].geometry.coordinates, [[[0, 0], [100, 0], [100, 50], [0, 0]]]);
+            assert.deepStrictEqual(features[2].geometry.coordinates, [40, 20]);
+            assert.deepStrictEqual(features[3].geometry.coordinates, [60, 30]);
+        });
+    });
+
+    describe("#toSvg", function() {
+        it("should draw sectors and systems", function() {
+            const svg = heatmap.toSvg({width: 240});
+            assert(svg.startsWith("<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"240\" height=\"140\">"), svg);
+            assert(svg.includes("<polygon points=\"20,20 220,20 220,120 20,20\""), svg);
+            assert.equal(svg.match(/<circle /g).length, 2);
+            assert(svg.includes("<title>Alpha: 3 flips, 3 days contested</title>"), svg);
+        });
+
+        it("should draw an empty picture without geometry", function() {
+            const history = createHeatmapHistory();
+            history.base.sectors.forEach(sec => delete sec.points);
+            history.base.stellar_systems.forEach(sys => delete sys.position);
+
+            const svg = new HeatmapExport(history).toSvg();
+            assert(!svg.includes("<circle") && !svg.includes("<polygon"), svg);
+        });
+    });
+});
+
+/**
+ * Two sectors: Core with Alpha and Beta, where ark takes Alpha from tet, loses it and takes it back while nobody was
+ * recording, and Rim with Gamma and no geometry at all. Ten days in all.
+ */
+function createHeatmapHistory() {
+    const galaxy = createGalaxy({
+        1: {owner: "Other", faction: FACTION_TET, position: {x: 40, y: 20}},
+        2: {owner: "Other", faction: FACTION_TET, position: [60, 30]},
+        3: {name: "Gamma", owner: null, faction: null, sector_id: 1},
+    }, {
+        0: {owner: FACTION_TET, division: [{faction: FACTION_TET, points: 2}],
+            points: [{x: 0, y: 0}, {x: 100, y: 0}, {x: 100, y: 50}]},
+        1: {name: "Rim", owner: null, division: [{faction: null, points: 1}]},
+    });
+
+    const contested = {owner: FACTION_TET, division: [{faction: FACTION_TET, points: 1}, {faction: FACTION_ARK, points: 1}]};
+    return recordGame(90, galaxy, [
+        {time: FIRST_FLIP_TIME, systems: {1: {owner: "Granite", faction: FACTION_ARK}}, sectors: {0: contested}},
+        {time: SECOND_FLIP_TIME, systems: {1: {owner: "Other", faction: FACTION_TET}},
+            sectors: {0: {owner: FACTION_TET, division: [{faction: FACTION_TET, points: 2}]}}},
+        {time: GAP_TIME, gap: true, systems: {1: {owner: "Granite", faction: FACTION_ARK}}, sectors: {0: contested}},
+    ]);
+}
@@ -0,0 +1,191 @@
+import assert from 'assert';
+import {History} from "../../HistoryManager.mjs";
+import {
+    HighlightDetector, HIGHLIGHT_COMEBACK, HIGHLIGHT_CONTESTED, HIGHLIGHT_FIRST_CONTACT, HIGHLIGHT_OFFENSIVE,
+    HIGHLIGHT_SECTOR_FLIP
+} from "../../HighlightDetector.mjs";
+
+const FACTION_ARK = "ark";
+const FACTION_TET = "tet";
+
+const GAME_START_TIME = "2022-03-01T10:00:00.000-04:00";
+
+describe("HighlightDetector", function() {
+
+    // HighlightDetector instance under test
+    let detector = undefined;
+
+    beforeEach(function() {
+        detector = new HighlightDetector();
+    });
+
+    function ofType(history, type) {
+        return detector.detect(history).filter(h => h.type === type);
+    }
+
+    it("should reject bad options", function() {
+        assert.throws(() => new HighlightDetector({offensiveHours: -1}), /Expected a positive number for offensiveHours/);
+    });
+
+    describe("sector flips", function() {
+        it("should find a sector changing owner", function() {
+            const history = createHighlightHistory([
+                sectorRecord(hour(1), FACTION_ARK, [{faction: FACTION_ARK, points: 6}]),
+            ]);
+
+            const flips = ofType(history, HIGHLIGHT_SECTOR_FLIP);
+            assert.equal(flips.length, 1);
+            assert.strictEqual(flips[0].title, "ark takes control of Core");
+            assert.strictEqual(flips[0].score, 16);
+            assert.deepStrictEqual([flips[0].startIndex, flips[0].endIndex], [1, 1]);
+            assert.deepStrictEqual([flips[0].start, flips[0].end], [hour(1), hour(1)]);
+            assert.deepStrictEqual(flips[0].factions, [FACTION_ARK]);
+        });
+
+        it("should span the gap of a flip caught up on", function() {
+            const record = sectorRecord(hour(10), FACTION_ARK, [{faction: FACTION_ARK, points: 6}]);
+            const history = createHighlightHistory([{time: hour(10), gap: {start: hour(2), end: hour(10)},
+                changes: [{sector: record.sector}]}]);
+
+            const flips = ofType(history, HIGHLIGHT_SECTOR_FLIP);
+            assert.deepStrictEqual([flips[0].start, flips[0].end], [hour(2), hour(10)]);
+        });
+    });
+
+    describe("offensives", function() {
+        it("should find many captures within a short window", function() {
+            const history = createHighlightHistory([1, 2, 3, 4, 5].map(id => systemRecord(hour(id), id, FACTION_ARK)));
+
+            const offensives = ofType(history, HIGHLIGHT_OFFENSIVE);
+            assert.equal(offensives.length, 1);
+            assert.strictEqual(offensives[0].description, "ark took 5 systems in 4 hours.");
+            assert.deepStrictEqual([offensives[0].startIndex, offensives[0].endIndex], [1, 5]);
+            assert.strictEqual(offensives[0].score, 25);
+        });
+
+        it("should ignore captures spread out over time", function() {
+            const history = createHighlightHistory([1, 2, 3, 4, 5].map(id => systemRecord(hour(id * 2), id, FACTION_ARK)));
+            assert.deepStrictEqual(ofType(history, HIGHLIGHT_OFFENSIVE), []);
+        });
+
+        it("should ignore captures caught up on", function() {
+            const history = createHighlightHistory([{time: hour(10), gap: {start: hour(2), end: hour(10)},
+                changes: [1, 2, 3, 4, 5].map(id => ({system: systemRecord(hour(10), id, FACTION_ARK).system}))}]);
+            assert.deepStrictEqual(ofType(history, HIGHLIGHT_OFFENSIVE), []);
+        });
+    });
+
+    describe("contested systems", function() {
+        it("should find a system changing hands repeatedly", function() {
+            const history = createHighlightHistory([
+                systemRecord(hour(1), 1, FACTION_ARK),
+                systemRecord(hour(20), 1, FACTION_TET),
+                systemRecord(hour(40), 1, FACTION_ARK),
+            ]);
+
+            const contested = ofType(history, HIGHLIGHT_CONTESTED);
+            assert.equal(contested.length, 1);
+            assert.strictEqual(contested[0].title, "Alpha 1 contested");
+            assert.deepStrictEqual([contested[0].startIndex, contested[0].endIndex], [1, 3]);
+            assert.deepStrictEqual(contested[0].factions, [FACTION_ARK, FACTION_TET]);
+        });
+    });
+
+    describe("comebacks", function() {
+        it("should find a faction winning back what it lost", function() {
+
+            // tet starts with systems 5 to 8
+            const history = createHighlightHistory([
+                systemRecord(hour(10), 5, FACTION_ARK),
+                systemRecord(hour(20), 6, FACTION_ARK),
+                systemRecord(hour(30), 7, FACTION_ARK),
+                systemRecord(hour(40), 5, FACTION_TET),
+                systemRecord(hour(50), 6, FACTION_TET),
+                systemRecord(hour(60), 7, FACTION_TET),
+            ], true);
+
+            const comebacks = ofType(history, HIGHLIGHT_COMEBACK);
+            assert.equal(comebacks.length, 1);
+            assert.strictEqual(comebacks[0].description, "tet fell from 4 systems to 1 and fought back to 4.");
+            assert.deepStrictEqual([comebacks[0].startIndex, comebacks[0].endIndex], [3, 6]);
+        });
+
+        it("should ignore small losses", function() {
+            const history = createHighlightHistory([
+                systemRecord(hour(10), 5, FACTION_ARK),
+                systemRecord(hour(40), 5, FACTION_TET),
+            ], true);
+            assert.deepStrictEqual(ofType(history, HIGHLIGHT_COMEBACK), []);
+        });
+    });
+
+    describe("first contact", function() {
+        it("should find the first time two factions share a sector", function() {
+            const history = createHighlightHistory([
+                sectorRecord(hour(1), null, [{faction: null, points: 5}, {faction: FACTION_ARK, points: 1}]),
+                sectorRecord(hour(2), null, [{faction: null, points: 4}, {faction: FACTION_ARK, points: 1},
+                    {faction: FACTION_TET, points: 1}]),
+                sectorRecord(hour(3), null, [{faction: null, points: 3}, {faction: FACTION_ARK, points: 2},
+                    {faction: FACTION_TET, points: 1}]),
+            ]);
+
+            const contacts = ofType(history, HIGHLIGHT_FIRST_CONTACT);
+            assert.equal(contacts.length, 1);
+            assert.strictEqual(contacts[0].title, "First contact: ark and tet");
+            assert.strictEqual(contacts[0].startIndex, 2);
+        });
+
+        it("should find the first time one faction takes a system from another", function() {
+            const history = createHighlightHistory([systemRecord(hour(1), 5, FACTION_ARK)], true);
+
+            const contacts = ofType(history, HIGHLIGHT_FIRST_CONTACT);
+            assert.equal(contacts.length, 1);
+            assert.strictEqual(contacts[0].description, "ark and tet met for the first time when ark took Alpha 5 from tet.");
+        });
+    });
+
+    describe("#chapters", function() {
+        it("should keep the best highlights in order of time", function() {
+            const history = createHighlightHistory([
+                sectorRecord(hour(1), FACTION_ARK, [{faction: FACTION_ARK, points: 1}]),
+                ...[1, 2, 3, 4, 5].map(id => systemRecord(hour(1 + id), id, FACTION_ARK)),
+                systemRecord(hour(8), 1, FACTION_TET),
+            ]);
+
+            const chapters = detector.chapters(history, 2);
+            assert.deepStrictEqual(chapters.map(c => c.type), [HIGHLIGHT_OFFENSIVE, HIGHLIGHT_FIRST_CONTACT]);
+            assert(chapters[0].start < chapters[1].start);
+        });
+    });
+});
+
+function hour(n) {
+    return "2022-03-" + (2 + Math.floor(n / 24)).toString().padStart(2, "0") + "T"
+        + (n % 24).toString().padStart(2, "0") + ":00:00.000-04:00";
+}
+
+function systemRecord(time, id, faction) {
+    return {time: time, system: {id: id, sector_id: 0, owner: faction + " player", faction: faction}};
+}
+
+function sectorRecord(time, owner, division) {
+    return {time: time, sector: {id: 0, owner: owner, division: division}};
+}
+
+/**
+ * Eight systems in one sector, all unowned unless `tetHolds` gives systems 5 to 8 to tet.
+ */
+function createHighlightHistory(snapshots, tetHolds = false) {
+    const systems = [1, 2, 3, 4, 5, 6, 7, 8].map(id => ({
+        id: id, name: "Alpha " + id, sector_id: 0, status: "uninhabited",
+        owner: tetHolds && id > 4 ? "tet player" : null, faction: tetHolds && id > 4 ? FACTION_TET : null,
+    }));
+    const history = new History(80, {
+        stellar_systems: systems,
+        sectors: [{id: 0, name: "Core", owner: null, division: [{faction: null, points: 8}]}],
+    });
+    history.start = GAME_START_TIME;
+    history.snapshots = snapshots;
+
+    return history;
+}
@@ -1,5 +1,13 @@
 import assert from 'assert';
-import {HistoryManager, History, HistoryVersionUpgrader, DUMMY_BETA_VERSION} from "../../HistoryManager.mjs";
+import {
+    HistoryManager, History, HistoryVersionUpgrader, HistoryPlayer, DUMMY_BETA_VERSION, STORAGE_MODE_JOURNAL,
+    LATEST_HISTORY_VERSION, TIMELINE_GAME, VERSION_TWO, VERSION_THREE, VERSION_FOUR, buildKeyframes,
+    EVENT_GAME_FINISHED, EVENT_HISTORY_CREATED, EVENT_HISTORY_SAVED, EVENT_SECTOR_FLIPPED, EVENT_STATUS_CHANGED,
+    EVENT_SYSTEM_CAPTURED, EVENT_SYSTEM_LOST
+} from "../../HistoryManager.mjs";
+import {HeadlessHost, LOG_ERROR} from "../../HostAdapters.mjs";
+import {HistoryValidator} from "../../HistoryValidator.mjs";
+import {BACKUP_SUFFIX, MemoryStorage} from "../../StorageBackends.mjs";
 import fs from "fs";
 import structuredClone from "realistic-structured-clone";
 import {DateTime} from "luxon";
@@ -9,13 +17,17 @@ const FACTION_TET = "tet";
 
 const SIMPLE_OWNER = "Granite";
 const SIMPLE_SYSTEM_FLIP_TIME = "2022-03-24T10:00:00.000-04:00";
-const GAME_START_TIME = "2022-02-01T1:00:00.000-04:00";
+const GAME_START_TIME = "2022-02-01T01:00:00.000-04:00";
+const SECOND_FLIP_TIME = "2022-03-30T10:00:00.000-04:00";
 
 describe("HistoryManager", function() {
 
     // HistoryManager instance under test
     let man = undefined;
 
+    // Stands in for the game, holding the galaxy the manager reads live sector state from
+    let host = undefined;
+
     // HistoryVersionUpgrader instance under test
     let histUp = undefined;
 
@@ -71,10 +83,17 @@ describe("HistoryManager", function() {
             }
         });
 
-        man = new HistoryManager(testRootDir);
+        host = new HeadlessHost();
+        man = new HistoryManager(testRootDir, {host: host});
         histUp = new HistoryVersionUpgrader();
     });
 
+    afterEach(function() {
+
+        // Every save keeps a backup of the file it replaced
+        [EMPTY_INSTANCE_PATH, SIMPLE_INSTANCE_PATH].forEach(f => fs.rmSync(f + BACKUP_SUFFIX, {force: true}));
+    });
+
     describe("#HistoryVersionUpgrader", function() {
         describe("versionTesting", function() {
             it("given empty detect no version", function() {
@@ -92,10 +111,29 @@ describe("HistoryManager", function() {
             });
 
             it("detect version 1", function() {
-                let simpleJson = JSON.stringify(SIMPLE_HISTORY);
+                let simpleJson = JSON.stringify(Object.assign({}, SIMPLE_HISTORY, {VERSION: 1}));
                 assert(!histUp.isAlphaVersion(simpleJson));
                 assert(!histUp.isBetaVersion(simpleJson));
                 assert.equal(histUp.detectVersion(simpleJson), 1, "Should detect version 1");
+                assert(histUp.shouldUpgradeHistory(simpleJson));
+            });
+
+            it("detect version 2", function() {
+                let simpleJson = JSON.stringify(Object.assign({}, SIMPLE_HISTORY, {VERSION: 2}));
+                assert.equal(histUp.detectVersion(simpleJson), VERSION_TWO, "Should detect version 2");
+                assert(histUp.shouldUpgradeHistory(simpleJson));
+            });
+
+            it("detect version 3", function() {
+                let simpleJson = JSON.stringify(Object.assign({}, SIMPLE_HISTORY, {VERSION: 3}));
+                assert.equal(histUp.detectVersion(simpleJson), VERSION_THREE, "Should detect version 3");
+                assert(histUp.shouldUpgradeHistory(simpleJson));
+            });
+
+            it("detect version 4", function() {
+                let simpleJson = JSON.stringify(SIMPLE_HISTORY);
+                assert.equal(histUp.detectVersion(simpleJson), VERSION_FOUR, "Should detect version 4");
+                assert(!histUp.shouldUpgradeHistory(simpleJson));
             });
 
             it("should return true for upgrade when given empty beta", function() {
@@ -115,20 +153,120 @@ describe("HistoryManager", function() {
         });
 
         describe("#upgradeHistoryFile", function() {
-            it("should upgrade beta to version 1", function() {
+            it("should upgrade beta to the latest version", function() {
 
                 let historyData = JSON.stringify(createSimpleBetaHistory());
                 let history = histUp.upgradeHistoryFile(historyData);
 
                 assert(history, "Expected history to be an object");
-                assert.equal(history.VERSION, 1, "Expected VERSION to be 1");
+                assert.equal(history.VERSION, LATEST_HISTORY_VERSION, "Expected the latest VERSION");
 
                 assert.equal(history.snapshots.length, 1, "Expected a single snap");
-                // assert.equal(history.undo.length, 1, "Expected a single undo snap");
+                assert.equal(history.undo.length, 1, "Expected a single undo snap");
 
                 let snap = history.snapshots[0];
                 assert(snap.system, "Expected to see a system object inside the snap");
                 assert(snap.sector, "Expected to see a sector object inside the snap");
+                assert.strictEqual(snap.system.owner, SIMPLE_OWNER);
+                assert.strictEqual(snap.sector.owner, FACTION_ARK);
+                assert.deepStrictEqual(snap.sector.division, [{faction: FACTION_ARK, points: 1}]);
+
+                let usnap = history.undo[0];
+                assert.strictEqual(usnap.system.owner, null);
+                assert.strictEqual(usnap.system.status, "uninhabited");
+                assert.strictEqual(usnap.sector.owner, null);
+                assert.deepStrictEqual(usnap.sector.division, [{faction: null, points: 1}]);
+            });
+
+            it("should upgrade version 1 without game time", function() {
+                let v1 = Object.assign({}, SIMPLE_HISTORY, {VERSION: 1});
+                delete v1.gameSpeed;
+
+                let history = histUp.upgradeHistoryFile(JSON.stringify(v1));
+                assert.equal(history.VERSION, LATEST_HISTORY_VERSION);
+                assert.strictEqual(history.gameSpeed, null);
+            });
+
+            it("should upgrade version 2 as still in progress", function() {
+                let v2 = Object.assign({}, SIMPLE_HISTORY, {VERSION: 2});
+                delete v2.complete;
+                delete v2.end;
+                delete v2.winner;
+
+                let history = histUp.upgradeHistoryFile(JSON.stringify(v2));
+                assert.equal(history.VERSION, LATEST_HISTORY_VERSION);
+                assert.strictEqual(history.complete, false);
+                assert.strictEqual(history.end, null);
+                assert.strictEqual(history.winner, null);
+            });
+
+            it("should generate keyframes when upgrading version 3", function() {
+                let v3 = Object.assign({}, createTwoFlipHistory(), {VERSION: 3});
+                delete v3.keyframes;
+
+                // Each flip is more than a day after the one before
+                let history = histUp.upgradeHistoryFile(JSON.stringify(v3));
+                assert.equal(history.VERSION, LATEST_HISTORY_VERSION);
+                assert.deepStrictEqual(history.keyframes.map(k => k.index), [1, 2]);
+                assert.strictEqual(history.keyframes[0].time, SIMPLE_SYSTEM_FLIP_TIME);
+                assert.deepStrictEqual(history.keyframes[1].stellar_systems,
+                    [{id: 1, owner: "Other", faction: FACTION_TET, status: "inhabited"}]);
+                assert.deepStrictEqual(history.keyframes[1].sectors,
+                    [{id: 0, owner: FACTION_TET, division: [{faction: FACTION_TET, points: 1}]}]);
+            });
+
+            it("should convert beta galaxy to base and current", function() {
+                let history = histUp.upgradeHistoryFile(JSON.stringify(createSimpleBetaHistory()), 42);
+
+                assert.equal(history.galaxy, null, "Expected galaxy to be replaced");
+                assert.strictEqual(history.base.stellar_systems[0].owner, null);
+                assert.strictEqual(history.current.stellar_systems[0].owner, SIMPLE_OWNER);
+                assert.strictEqual(history.current.sectors[0].owner, FACTION_ARK);
+                assert.equal(history.instance, 42);
+                assert.equal(history.start, GAME_START_TIME);
+                assert.equal(history.currentTimestamp, "2022-03-24T10:00:00.000-04:00");
+            });
+
+            it("should give an upgraded beta history without times of its own a valid start", function() {
+                const beta = createSimpleBetaHistory();
+                delete beta.start;
+                delete beta.currentTimestamp;
+
+                const history = histUp.upgradeHistoryFile(JSON.stringify(beta));
+                assert.strictEqual(history.start, DateTime.fromMillis(1).toISO());
+                assert.strictEqual(history.currentTimestamp, history.start);
+                assert.deepStrictEqual(new HistoryValidator().validate(Object.assign(new History(), history)), []);
+            });
+
+            it("should play an upgraded beta history backwards", function() {
+                let history = histUp.upgradeHistoryFile(JSON.stringify(createSimpleBetaHistory()));
+                let player = new HistoryPlayer(history);
+
+                player.seekToIndex(1);
+                assert.deepStrictEqual(player.galaxy, history.current);
+
+                // The Beta galaxy never had a faction for unowned systems, so undo brings it back as null
+                player.stepBack();
+                assert.strictEqual(player.galaxy.stellar_systems[0].owner, null);
+                assert.strictEqual(player.galaxy.stellar_systems[0].faction, null);
+                assert.strictEqual(player.galaxy.stellar_systems[0].status, "uninhabited");
+                assert.deepStrictEqual(player.galaxy.sectors, history.base.sectors);
+            });
+
+            it("should upgrade alpha to the latest version", function() {
+                let alpha = createSimpleBetaHistory();
+                alpha.snapshots = alpha.snapshots.filter(s => s.type === "system");
+                alpha.snapshots.forEach(s => delete s.type);
+                delete alpha.undo;
+
+                assert(histUp.isAlphaVersion(alpha));
+                assert(!histUp.isBetaVersion(alpha));
+
+                let history = histUp.upgradeHistoryFile(JSON.stringify(alpha));
+                assert.equal(history.VERSION, LATEST_HISTORY_VERSION, "Expected the latest VERSION");
+                assertSnapshotLengths(history, 1, 1);
+                assert.strictEqual(history.snapshots[0].system.owner, SIMPLE_OWNER);
+                assert.strictEqual(history.undo[0].system.owner, null);
             });
         });
     });
@@ -143,15 +281,59 @@ describe("HistoryManager", function() {
                     fs.rmdirSync(CONSTRUCT_TEST_DIR);
             });
 
-            it("should create dir if not exist", async function() {
-                let man = new HistoryManager(CONSTRUCT_TEST_DIR);
-
-                // wait one second for the dir to get created
-                await new Promise(r => setTimeout(r, 1000));
+            it("should create dir if not exist", function() {
+                let man = new HistoryManager(CONSTRUCT_TEST_DIR, {host: host});
                 assert(fs.existsSync(CONSTRUCT_TEST_DIR), "Expected the constructor to create the Dir");
             });
         });
 
+        describe("#processNewInstance", function() {
+
+            // Nothing here touches the disk
+            let storage = undefined;
+            let memMan = undefined;
+
+            beforeEach(function() {
+                storage = new MemoryStorage();
+                memMan = new HistoryManager(testRootDir, {host: host, storage: storage});
+            });
+
+            it("should save a new history", function() {
+                const galaxy = {stellar_systems: [SIMPLE_SYSTEM], sectors: [SIMPLE_SECTOR]};
+                memMan.processNewInstance(MISSING_INSTANCE, galaxy);
+
+                assert(memMan.hasHistory(MISSING_INSTANCE));
+                const res = JSON.parse(storage.load(MISSING_INSTANCE + "/history.json"));
+                assertSnapshotLengths(res, 0, 0);
+                assert.deepStrictEqual(res.base, galaxy);
+                assert.deepStrictEqual(res.current, galaxy);
+                assert.equal(res.instance, MISSING_INSTANCE);
+            });
+
+            it("should save a new journaled history", function() {
+                const journalMan = new HistoryManager(testRootDir,
+                    {host: host, storage: storage, storageMode: STORAGE_MODE_JOURNAL});
+                journalMan.processNewInstance(MISSING_INSTANCE, {stellar_systems: [SIMPLE_SYSTEM], sectors: [SIMPLE_SECTOR]});
+
+                assert(!storage.exists(MISSING_INSTANCE + "/history.json"));
+                assert(storage.exists(MISSING_INSTANCE + "/base.json"));
+                assert.strictEqual(storage.load(MISSING_INSTANCE + "/journal.jsonl"), "");
+            });
+
+            it("should record to a history it created", function() {
+                memMan.processNewInstance(MISSING_INSTANCE, {stellar_systems: [SIMPLE_SYSTEM], sectors: [SIMPLE_SECTOR]});
+
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+                host.galaxy = SIMPLE_HISTORY.current;
+                memMan.applySystemUpdate(newSys, MISSING_INSTANCE);
+
+                const reloaded = new HistoryManager(testRootDir, {host: host, storage: storage}).getHistory(MISSING_INSTANCE);
+                assertSnapshotLengths(reloaded, 1, 1);
+                assert.strictEqual(reloaded.current.stellar_systems[0].owner, newSys.owner);
+            });
+        });
+
         describe("#getHistory", function() {
 
             it("should load history from disk", function() {
@@ -177,6 +359,25 @@ describe("HistoryManager", function() {
                 );
             });
 
+            it("should restore a corrupt history from its backup", function() {
+                fs.writeFileSync(SIMPLE_INSTANCE_PATH + BACKUP_SUFFIX, JSON.stringify(SIMPLE_HISTORY));
+                fs.writeFileSync(SIMPLE_INSTANCE_PATH, JSON.stringify(SIMPLE_HISTORY).slice(0, 40));
+
+                const logged = [];
+                const quietHost = new HeadlessHost({logger: (message, level) => logged.push(level)});
+                const restoringMan = new HistoryManager(testRootDir, {host: quietHost});
+                const history = restoringMan.getHistory(SIMPLE_INSTANCE);
+
+                assert.deepStrictEqual(history, SIMPLE_HISTORY);
+                assert.deepStrictEqual(logged, [LOG_ERROR], "Expected the restore to be reported");
+                assert.deepStrictEqual(restoringMan.restoredFromBackup(SIMPLE_INSTANCE),
+                    [SIMPLE_INSTANCE + "/history.json"]);
+
+                restoringMan.replaceHistory(history);
+                assert.deepStrictEqual(restoringMan.restoredFromBackup(SIMPLE_INSTANCE), []);
+                assert.deepStrictEqual(readAndParse(SIMPLE_INSTANCE_PATH), JSON.parse(JSON.stringify(SIMPLE_HISTORY)));
+            });
+
             it("testHistoryJsonConversionToObjectInstance", () => {
                 let h = new History(123, {stellar_systems: [SIMPLE_SYSTEM], sectors: [SIMPLE_SECTOR]});
                 fs.writeFileSync(testRootDir + 123 + "/history.json", JSON.stringify(h), err => {
@@ -187,7 +388,7 @@ describe("HistoryManager", function() {
 
                 let data = readAndParse(testRootDir + 123 + "/history.json");
                 let historyObj = Object.assign(new History, data);
-                assert.equal(historyObj.getVersion(), 1, "Failed version match");
+                assert.equal(historyObj.getVersion(), LATEST_HISTORY_VERSION, "Failed version match");
             });
         });
 
@@ -204,7 +405,7 @@ describe("HistoryManager", function() {
                 newSys.owner = "new owner";
 
                 const simpleHistory = createSimpleHistory();
-                mockGetSector(man, simpleHistory);
+                host.galaxy = simpleHistory.current;
 
                 man.applySystemUpdate(newSys, SIMPLE_INSTANCE);
                 const res = readAndParse(SIMPLE_INSTANCE_PATH);
@@ -259,7 +460,7 @@ describe("HistoryManager", function() {
                 newSys.receivedAt = "not needed";
                 newSys.owner = "new owner";
 
-                mockGetSector(man, SIMPLE_HISTORY);
+                host.galaxy = SIMPLE_HISTORY.current;
 
                 man.applySystemUpdate(newSys, SIMPLE_INSTANCE);
                 const res = readAndParse(SIMPLE_INSTANCE_PATH);
@@ -286,20 +487,826 @@ describe("HistoryManager", function() {
                 assert.strictEqual(res.base.stellar_systems[0].owner, null,
                     "Base state should still be null.");
             });
+
+            it("should record the game's time", function() {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+
+                host.galaxy = SIMPLE_HISTORY.current;
+                host.clock = () => ({time: 1234, speed: 2});
+
+                man.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+                const res = readAndParse(SIMPLE_INSTANCE_PATH);
+                assert.strictEqual(res.snapshots[0].gameTime, 1234);
+                assert.strictEqual(res.undo[0].gameTime, 1234);
+            });
+
+            it("should stamp records with the host's time", function() {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+
+                const fixedMan = new HistoryManager(testRootDir, {host: new HeadlessHost({
+                    galaxy: SIMPLE_HISTORY.current, now: () => DateTime.fromISO(SIMPLE_SYSTEM_FLIP_TIME),
+                })});
+
+                fixedMan.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+                const res = readAndParse(SIMPLE_INSTANCE_PATH);
+                assert.strictEqual(res.snapshots[0].time, DateTime.fromISO(SIMPLE_SYSTEM_FLIP_TIME).toISO());
+            });
+
+            it("should record without a game clock", function() {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+
+                host.galaxy = SIMPLE_HISTORY.current;
+
+                man.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+                const res = readAndParse(SIMPLE_INSTANCE_PATH);
+                assertSnapshotLengths(res, 1, 1);
+                assert.strictEqual(res.snapshots[0].gameTime, null);
+            });
+
+            it("should only record the fields that changed", function() {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+                newSys.name = "renamed";
+
+                host.galaxy = SIMPLE_HISTORY.current;
+
+                man.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+                const res = readAndParse(SIMPLE_INSTANCE_PATH);
+                assertSnapshotLengths(res, 1, 1);
+
+                assert.deepStrictEqual(res.snapshots[0].system, {id: 1, sector_id: 0, owner: "new owner"});
+                assert.deepStrictEqual(res.undo[0].system, {id: 1, sector_id: 0, owner: null});
+                assert.strictEqual(res.current.stellar_systems[0].name, SIMPLE_SYSTEM.name,
+                    "Untracked fields should not be applied");
+            });
+
+            it("should record configured fields", function() {
+                const popMan = new HistoryManager(testRootDir, {host: host, systemFields: ["owner", "population"]});
+                host.galaxy = SIMPLE_HISTORY.current;
+
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.population = 12;
+                newSys.status = "inhabited";
+
+                popMan.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+                const res = readAndParse(SIMPLE_INSTANCE_PATH);
+                assertSnapshotLengths(res, 1, 1);
+
+                assert.deepStrictEqual(res.snapshots[0].system, {id: 1, sector_id: 0, population: 12});
+                assert.deepStrictEqual(res.undo[0].system, {id: 1, sector_id: 0, population: null});
+                assert.strictEqual(res.current.stellar_systems[0].population, 12);
+                assert.strictEqual(res.current.stellar_systems[0].status, SIMPLE_SYSTEM.status,
+                    "Status is not tracked by this manager");
+            });
+        });
+
+        describe("#applySectorUpdate", function() {
+            it("should throw an exception if sector not in current", function() {
+                assert.throws(
+                    () => man.applySectorUpdate(SIMPLE_SECTOR, EMPTY_INSTANCE),
+                    /Null sector ID: 0 from instance 10/
+                );
+            });
+
+            it("should record a change in division without a system update", function() {
+                const newSec = structuredClone(SIMPLE_SECTOR);
+                newSec.division = [{faction: null, points: 1}, {faction: FACTION_TET, points: 1}];
+                newSec.points = "not needed";
+
+                man.applySectorUpdate(newSec, SIMPLE_INSTANCE);
+                const res = readAndParse(SIMPLE_INSTANCE_PATH);
+                assertSnapshotLengths(res, 1, 1);
+
+                const snap = res.snapshots[0];
+                const usnap = res.undo[0];
+                assert(snap.time, "Expected a time for when this update happened");
+                assert.equal(snap.system, null, "Expected a sector-only record");
+                assert.equal(usnap.system, null, "Expected a sector-only undo record");
+                assert.deepStrictEqual(snap.sector.division, newSec.division);
+                assert.deepStrictEqual(usnap.sector.division, SIMPLE_SECTOR.division);
+                assert.equal(snap.sector.points, null, "Shouldn't have this.");
+
+                assert.deepStrictEqual(res.current.sectors[0].division, newSec.division);
+                assert.deepStrictEqual(res.base.sectors[0].division, SIMPLE_SECTOR.division);
+            });
+
+            it("should record a division the game changed in place after a flip", function() {
+                host.galaxy = createSimpleHistory().current;
+                const liveSec = host.galaxy.sectors[0];
+                liveSec.division[0].faction = FACTION_ARK;
+                man.applySystemUpdate(Object.assign(structuredClone(SIMPLE_SYSTEM), {owner: SIMPLE_OWNER}), SIMPLE_INSTANCE);
+
+                // The game shifts the balance of the same sector without replacing its objects
+                liveSec.division[0].faction = FACTION_TET;
+                man.applySectorUpdate(liveSec, SIMPLE_INSTANCE);
+
+                const res = readAndParse(SIMPLE_INSTANCE_PATH);
+                assertSnapshotLengths(res, 2, 2);
+                assert.deepStrictEqual(res.snapshots[1].sector.division, [{faction: FACTION_TET, points: 1}]);
+                assert.deepStrictEqual(res.undo[1].sector.division, [{faction: FACTION_ARK, points: 1}]);
+                assert.deepStrictEqual(new HistoryValidator().validate(res), []);
+            });
+
+            it("should not update with no changes", function() {
+                man.applySectorUpdate(structuredClone(SIMPLE_SECTOR), SIMPLE_INSTANCE);
+                assertSnapshotLengths(readAndParse(SIMPLE_INSTANCE_PATH), 0, 0);
+            });
+        });
+
+        describe("#applyCatchUp", function() {
+            it("should bundle changes into a gap record", function() {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+                newSys.unknownTime = true;
+                const newSec = structuredClone(SIMPLE_SECTOR);
+                newSec.owner = FACTION_TET;
+                newSec.division = [{faction: FACTION_TET, points: 1}];
+
+                host.galaxy = createSimpleHistory().current;
+
+                man.applyCatchUp(SIMPLE_INSTANCE, [newSys], [newSec]);
+                const res = readAndParse(SIMPLE_INSTANCE_PATH);
+                assertSnapshotLengths(res, 1, 1);
+
+                const snap = res.snapshots[0];
+                assert.deepStrictEqual(snap.gap, {start: SIMPLE_HISTORY.start, end: snap.time, gameStart: null,
+                    gameEnd: null});
+                assert.equal(snap.changes.length, 2, "Expected the system and the sector change");
+                assert.deepStrictEqual(snap.changes[0].system, {id: 1, sector_id: 0, owner: "new owner"});
+                assert.strictEqual(snap.changes[0].sector.owner, FACTION_ARK);
+                assert.strictEqual(snap.changes[1].sector.owner, FACTION_TET);
+
+                const usnap = res.undo[0];
+                assert.deepStrictEqual(usnap.gap, snap.gap);
+                assert.strictEqual(usnap.changes[0].sector.owner, FACTION_ARK, "Expected undo in reverse order");
+                assert.strictEqual(usnap.changes[1].sector.owner, null);
+                assert.strictEqual(usnap.changes[1].system.owner, null);
+
+                assert.strictEqual(res.current.stellar_systems[0].owner, "new owner");
+                assert.strictEqual(res.current.sectors[0].owner, FACTION_TET);
+
+                const player = new HistoryPlayer(Object.assign(new History, res));
+                player.stepForward();
+                assert.deepStrictEqual(player.galaxy, res.current);
+                player.stepBack();
+                assert.deepStrictEqual(player.galaxy, res.base);
+            });
+
+            it("should treat unknownTime system updates as catch-up", function() {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+                newSys.unknownTime = true;
+
+                host.galaxy = createSimpleHistory().current;
+
+                man.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+                const res = readAndParse(SIMPLE_INSTANCE_PATH);
+                assertSnapshotLengths(res, 1, 1);
+                assert(res.snapshots[0].gap, "Expected a gap record");
+                assert.equal(res.snapshots[0].system, null, "Expected the system change inside the gap record");
+                assert.equal(res.current.stellar_systems[0].unknownTime, null, "Shouldn't have this.");
+            });
+
+            it("should start the gap at the last record, whatever built the history", function() {
+                const history = createTwoFlipHistory();
+                delete history.currentTimestamp;
+                const catchUpHost = new HeadlessHost({galaxy: structuredClone(history.current)});
+                const catchUpMan = new HistoryManager(testRootDir, {host: catchUpHost, storage: new MemoryStorage()});
+                catchUpMan.replaceHistory(history);
+
+                const newSys = structuredClone(history.current.stellar_systems[0]);
+                newSys.owner = "new owner";
+                catchUpMan.applyCatchUp(history.instance, [newSys]);
+
+                const res = catchUpMan.getHistory(history.instance);
+                assert.strictEqual(res.snapshots[2].gap.start, SECOND_FLIP_TIME);
+                assert.strictEqual(res.currentTimestamp, res.snapshots[2].time);
+            });
+
+            it("should not record a gap with no changes", function() {
+                man.applyCatchUp(SIMPLE_INSTANCE, [structuredClone(SIMPLE_SYSTEM)], [structuredClone(SIMPLE_SECTOR)]);
+                assertSnapshotLengths(readAndParse(SIMPLE_INSTANCE_PATH), 0, 0);
+            });
+        });
+
+        describe("#finalizeHistory", function() {
+            it("should write a final record and mark the history complete", function() {
+                man.finalizeHistory(SIMPLE_INSTANCE, FACTION_ARK);
+                const res = readAndParse(SIMPLE_INSTANCE_PATH);
+                assertSnapshotLengths(res, 1, 1);
+
+                assert.strictEqual(res.complete, true);
+                assert.strictEqual(res.winner, FACTION_ARK);
+                assert.strictEqual(res.end, res.snapshots[0].time);
+                assert.deepStrictEqual(res.snapshots[0].final, {winner: FACTION_ARK, sectors: [
+                    {id: 0, owner: null, division: [{faction: null, points: 1}]},
+                ]});
+                assert.strictEqual(res.undo[0].final, null);
+            });
+
+            it("should stop recording once complete", function() {
+                man.finalizeHistory(SIMPLE_INSTANCE, FACTION_ARK);
+                man.finalizeHistory(SIMPLE_INSTANCE, FACTION_TET);
+
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+                host.galaxy = SIMPLE_HISTORY.current;
+                man.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+
+                const res = readAndParse(SIMPLE_INSTANCE_PATH);
+                assertSnapshotLengths(res, 1, 1);
+                assert.strictEqual(res.winner, FACTION_ARK);
+                assert.strictEqual(res.current.stellar_systems[0].owner, null);
+            });
+        });
+
+        describe("journal storage", function() {
+            const SIMPLE_BASE_PATH = testRootDir + SIMPLE_INSTANCE + "/base.json";
+            const SIMPLE_JOURNAL_PATH = testRootDir + SIMPLE_INSTANCE + "/journal.jsonl";
+
+            let journalMan = undefined;
+
+            beforeEach(function() {
+                journalMan = new HistoryManager(testRootDir, {host: host, storageMode: STORAGE_MODE_JOURNAL});
+                host.galaxy = createSimpleHistory().current;
+            });
+
+            afterEach(function() {
+                [SIMPLE_BASE_PATH, SIMPLE_JOURNAL_PATH].forEach(f => {
+                    fs.rmSync(f, {force: true});
+                    fs.rmSync(f + BACKUP_SUFFIX, {force: true});
+                });
+            });
+
+            it("should append records instead of rewriting history", function() {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+
+                journalMan.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+
+                assertSnapshotLengths(readAndParse(SIMPLE_INSTANCE_PATH), 0, 0);
+                assertSnapshotLengths(readAndParse(SIMPLE_BASE_PATH), 0, 0);
+
+                const lines = fs.readFileSync(SIMPLE_JOURNAL_PATH, 'utf8').trim().split("\n");
+                assert.equal(lines.length, 1, "Expected a single journal entry");
+                const entry = JSON.parse(lines[0]);
+                assert.strictEqual(entry.snapshot.system.owner, newSys.owner);
+                assert.strictEqual(entry.undo.system.owner, SIMPLE_SYSTEM.owner);
+            });
+
+            it("should rebuild current state from the journal", function() {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+                journalMan.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+
+                const history = new HistoryManager(testRootDir, {host: host, storageMode: STORAGE_MODE_JOURNAL})
+                    .getHistory(SIMPLE_INSTANCE);
+                assertSnapshotLengths(history, 1, 1);
+                assert.strictEqual(history.current.stellar_systems[0].owner, newSys.owner);
+                assert.strictEqual(history.base.stellar_systems[0].owner, null);
+            });
+
+            it("should ignore a truncated final entry", function() {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+                journalMan.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+                fs.appendFileSync(SIMPLE_JOURNAL_PATH, "{\"snapshot\":{\"ti");
+
+                const history = new HistoryManager(testRootDir, {host: host, storageMode: STORAGE_MODE_JOURNAL})
+                    .getHistory(SIMPLE_INSTANCE);
+                assertSnapshotLengths(history, 1, 1);
+                assert(fs.readFileSync(SIMPLE_JOURNAL_PATH, 'utf8').endsWith("}\n"), "Expected partial line to be dropped");
+            });
+
+            it("should leave a truncated final entry in storage when read-only", function() {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+                journalMan.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+                fs.appendFileSync(SIMPLE_JOURNAL_PATH, "{\"snapshot\":{\"ti");
+                const journal = fs.readFileSync(SIMPLE_JOURNAL_PATH, 'utf8');
+
+                const reader = new HistoryManager(testRootDir, {
+                    host: host, storageMode: STORAGE_MODE_JOURNAL, readOnly: true,
+                });
+                assertSnapshotLengths(reader.getHistory(SIMPLE_INSTANCE), 1, 1);
+                assert.strictEqual(fs.readFileSync(SIMPLE_JOURNAL_PATH, 'utf8'), journal,
+                    "The game may still be appending that line");
+                assert.throws(() => reader.saveHistoryToDisk(reader.getHistory(SIMPLE_INSTANCE)), /read-only/);
+            });
+
+            it("should not carry a classic history over to the journal when read-only", function() {
+                const reader = new HistoryManager(testRootDir, {
+                    host: host, storageMode: STORAGE_MODE_JOURNAL, readOnly: true,
+                });
+                assertSnapshotLengths(reader.getHistory(SIMPLE_INSTANCE), 0, 0);
+                assert(!fs.existsSync(SIMPLE_BASE_PATH), "Expected no base to be written");
+            });
+
+            it("should compact the journal into a classic history", function() {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+                journalMan.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+
+                journalMan.compactJournal(SIMPLE_INSTANCE);
+                const res = readAndParse(SIMPLE_INSTANCE_PATH);
+                assertSnapshotLengths(res, 1, 1);
+                assert.strictEqual(res.current.stellar_systems[0].owner, newSys.owner);
+                assert.strictEqual(res.base.stellar_systems[0].owner, null);
+            });
+        });
+
+        describe("keyframes", function() {
+
+            let storage = undefined;
+
+            beforeEach(function() {
+                storage = new MemoryStorage();
+                storage.save(SIMPLE_INSTANCE_PATH.slice(testRootDir.length), JSON.stringify(SIMPLE_HISTORY));
+                host.galaxy = createSimpleHistory().current;
+            });
+
+            function applyFlips(manager, owners) {
+                owners.forEach(owner => {
+                    const newSys = structuredClone(SIMPLE_SYSTEM);
+                    newSys.owner = owner;
+                    manager.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+                });
+            }
+
+            [undefined, STORAGE_MODE_JOURNAL].forEach(storageMode => {
+                it("should take a keyframe every few records in " + (storageMode || "classic") + " mode", function() {
+
+                    // The fixture started long ago, so the hourly keyframes are pushed out of the way
+                    const options = {host: host, storage: storage, storageMode: storageMode,
+                        keyframeInterval: 2, keyframeHours: 1000000};
+                    applyFlips(new HistoryManager(testRootDir, options), ["a", "b", "c", "d", "e"]);
+
+                    const history = new HistoryManager(testRootDir, options).getHistory(SIMPLE_INSTANCE);
+                    assert.deepStrictEqual(history.keyframes.map(k => k.index), [2, 4]);
+                    assert.deepStrictEqual(history.keyframes[1].stellar_systems,
+                        [{id: 1, owner: "d", faction: null, status: "uninhabited"}]);
+                    assert.strictEqual(history.keyframes[1].time, history.snapshots[3].time);
+                });
+            });
+
+            it("should take a keyframe once enough time has passed", function() {
+                const manager = new HistoryManager(testRootDir, {host: host, storage: storage});
+                applyFlips(manager, ["a", "b"]);
+
+                // Only the first record is a day past the start
+                assert.deepStrictEqual(manager.getHistory(SIMPLE_INSTANCE).keyframes.map(k => k.index), [1]);
+            });
+        });
+
+        describe("held back writes", function() {
+            const FLUSH_DELAY = 20;
+
+            let storage = undefined;
+
+            // Number of times the storage was written to
+            let writes = 0;
+
+            beforeEach(function() {
+                storage = new MemoryStorage();
+                storage.save(SIMPLE_INSTANCE_PATH.slice(testRootDir.length), JSON.stringify(SIMPLE_HISTORY));
+
+                writes = 0;
+                ["save", "append"].forEach(method => {
+                    const write = storage[method].bind(storage);
+                    storage[method] = (key, data) => {
+                        writes++;
+                        write(key, data);
+                    };
+                });
+
+                host.galaxy = createSimpleHistory().current;
+            });
+
+            function applyTwoFlips(manager) {
+                ["new owner", "newer owner"].forEach(owner => {
+                    const newSys = structuredClone(SIMPLE_SYSTEM);
+                    newSys.owner = owner;
+                    manager.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+                });
+            }
+
+            function loadStored(storageMode) {
+                return new HistoryManager(testRootDir, {host: host, storage: storage, storageMode: storageMode})
+                    .getHistory(SIMPLE_INSTANCE);
+            }
+
+            it("should write a burst of records once", function() {
+                const delayedMan = new HistoryManager(testRootDir, {host: host, storage: storage, flushDelay: FLUSH_DELAY});
+                applyTwoFlips(delayedMan);
+
+                assert.equal(writes, 0, "Expected nothing written yet");
+                assertSnapshotLengths(loadStored(), 0, 0);
+
+                delayedMan.flush();
+                assert.equal(writes, 1, "Expected a single write");
+                assertSnapshotLengths(loadStored(), 2, 2);
+            });
+
+            it("should append a burst of journal entries once", function() {
+                const delayedMan = new HistoryManager(testRootDir,
+                    {host: host, storage: storage, storageMode: STORAGE_MODE_JOURNAL, flushDelay: FLUSH_DELAY});
+                delayedMan.getHistory(SIMPLE_INSTANCE);
+                writes = 0;
+
+                applyTwoFlips(delayedMan);
+                delayedMan.flush();
+
+                assert.equal(writes, 1, "Expected a single append");
+                const history = loadStored(STORAGE_MODE_JOURNAL);
+                assertSnapshotLengths(history, 2, 2);
+                assert.strictEqual(history.current.stellar_systems[0].owner, "newer owner");
+            });
+
+            it("should keep journal entries whose append failed for the next one", function() {
+                const delayedMan = new HistoryManager(testRootDir,
+                    {host: host, storage: storage, storageMode: STORAGE_MODE_JOURNAL, flushDelay: FLUSH_DELAY});
+                delayedMan.getHistory(SIMPLE_INSTANCE);
+
+                const append = storage.append;
+                storage.append = () => {
+                    storage.append = append;
+                    throw "Disk full";
+                };
+
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = "new owner";
+                delayedMan.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+                assert.throws(() => delayedMan.flush(), /Disk full/);
+
+                newSys.owner = "newer owner";
+                delayedMan.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+                delayedMan.flush();
+
+                const history = loadStored(STORAGE_MODE_JOURNAL);
+                assertSnapshotLengths(history, 2, 2);
+                assert.strictEqual(history.current.stellar_systems[0].owner, "newer owner");
+            });
+
+            it("should write once the delay has passed", async function() {
+                const delayedMan = new HistoryManager(testRootDir, {host: host, storage: storage, flushDelay: FLUSH_DELAY});
+                applyTwoFlips(delayedMan);
+
+                await new Promise(r => setTimeout(r, FLUSH_DELAY * 5));
+                assert.equal(writes, 1, "Expected a single write");
+                assertSnapshotLengths(loadStored(), 2, 2);
+            });
+
+            it("should write on exit", function() {
+                const delayedMan = new HistoryManager(testRootDir, {host: host, storage: storage, flushDelay: FLUSH_DELAY});
+                applyTwoFlips(delayedMan);
+
+                host.exit();
+                assertSnapshotLengths(loadStored(), 2, 2);
+            });
+
+            it("should write held back entries before compacting", function() {
+                const delayedMan = new HistoryManager(testRootDir,
+                    {host: host, storage: storage, storageMode: STORAGE_MODE_JOURNAL, flushDelay: FLUSH_DELAY});
+                applyTwoFlips(delayedMan);
+
+                delayedMan.compactJournal(SIMPLE_INSTANCE);
+                assertSnapshotLengths(loadStored(), 2, 2);
+            });
+        });
+
+        describe("record listeners", function() {
+            beforeEach(function() {
+                host.galaxy = createSimpleHistory().current;
+            });
+
+            function flip(manager, owner) {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.owner = owner;
+                manager.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+            }
+
+            it("should pass on each new record", function() {
+                const heard = [];
+                man.addRecordListener((instance, record) => heard.push([instance, record]));
+
+                flip(man, "new owner");
+                man.applyCatchUp(SIMPLE_INSTANCE, [Object.assign(structuredClone(SIMPLE_SYSTEM), {owner: "newer owner"})]);
+
+                const history = man.getHistory(SIMPLE_INSTANCE);
+                assert.equal(heard.length, 2);
+                assert.strictEqual(heard[0][0], SIMPLE_INSTANCE);
+                assert.strictEqual(heard[0][1], history.snapshots[0]);
+                assert(heard[1][1].gap, "Expected the gap record");
+            });
+
+            it("should stop once removed", function() {
+                let heard = 0;
+                const remove = man.addRecordListener(() => heard++);
+
+                flip(man, "new owner");
+                remove();
+                flip(man, "newer owner");
+                assert.equal(heard, 1);
+            });
+
+            it("should keep recording when a listener fails", function() {
+                const logged = [];
+                const quietHost = new HeadlessHost({galaxy: host.galaxy, logger: (message, level) => logged.push(level)});
+                const quietMan = new HistoryManager(testRootDir, {host: quietHost});
+                quietMan.addRecordListener(() => {
+                    throw "listener broke";
+                });
+
+                flip(quietMan, "new owner");
+                assertSnapshotLengths(readAndParse(SIMPLE_INSTANCE_PATH), 1, 1);
+                assert.deepStrictEqual(logged, [LOG_ERROR]);
+            });
+        });
+
+        describe("events", function() {
+            beforeEach(function() {
+                host.galaxy = createSimpleHistory().current;
+            });
+
+            function listen(manager, type) {
+                const heard = [];
+                manager.on(type, e => heard.push(e));
+                return heard;
+            }
+
+            function capture(manager, faction, status = SIMPLE_SYSTEM.status) {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.faction = faction;
+                newSys.status = status;
+                manager.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+            }
+
+            it("should reject unknown events", function() {
+                assert.throws(() => man.on("systemTaken", () => {}), /Unknown event: systemTaken/);
+            });
+
+            it("should emit captures and losses with the state before and after", function() {
+                const captured = listen(man, EVENT_SYSTEM_CAPTURED);
+                const lost = listen(man, EVENT_SYSTEM_LOST);
+
+                capture(man, FACTION_ARK);
+                capture(man, FACTION_TET);
+
+                const snapshots = man.getHistory(SIMPLE_INSTANCE).snapshots;
+                assert.equal(captured.length, 2);
+                assert.equal(captured[0].type, EVENT_SYSTEM_CAPTURED);
+                assert.strictEqual(captured[0].instance, SIMPLE_INSTANCE);
+                assert.strictEqual(captured[0].faction, FACTION_ARK);
+                assert.strictEqual(captured[0].from, null);
+                assert.strictEqual(captured[0].time, snapshots[0].time);
+                assert.strictEqual(captured[0].before.faction, undefined);
+                assert.strictEqual(captured[0].after.faction, FACTION_ARK);
+                assert.strictEqual(captured[1].from, FACTION_ARK);
+
+                assert.equal(lost.length, 1);
+                assert.strictEqual(lost[0].faction, FACTION_ARK);
+                assert.strictEqual(lost[0].to, FACTION_TET);
+                assert.strictEqual(lost[0].time, snapshots[1].time);
+            });
+
+            it("should emit status changes", function() {
+                const changed = listen(man, EVENT_STATUS_CHANGED);
+
+                capture(man, null, "colonized");
+                assert.equal(changed.length, 1);
+                assert.strictEqual(changed[0].from, SIMPLE_SYSTEM.status);
+                assert.strictEqual(changed[0].to, "colonized");
+                assert.strictEqual(changed[0].after.status, "colonized");
+            });
+
+            it("should emit sector flips from system and sector updates", function() {
+                const flipped = listen(man, EVENT_SECTOR_FLIPPED);
+
+                host.galaxy.sectors[0].owner = FACTION_ARK;
+                capture(man, FACTION_ARK);
+                host.galaxy.sectors[0].owner = FACTION_TET;
+                man.applySectorUpdate(host.galaxy.sectors[0], SIMPLE_INSTANCE);
+
+                assert.equal(flipped.length, 2);
+                assert.strictEqual(flipped[0].from, null);
+                assert.strictEqual(flipped[0].to, FACTION_ARK);
+                assert.strictEqual(flipped[1].from, FACTION_ARK);
+                assert.strictEqual(flipped[1].to, FACTION_TET);
+                assert.strictEqual(flipped[1].before.owner, FACTION_ARK);
+            });
+
+            it("should place changes caught up on at their gap", function() {
+                const captured = listen(man, EVENT_SYSTEM_CAPTURED);
+
+                man.applyCatchUp(SIMPLE_INSTANCE, [Object.assign(structuredClone(SIMPLE_SYSTEM), {faction: FACTION_ARK})]);
+                assert.equal(captured.length, 1);
+                assert.deepStrictEqual(captured[0].gap, man.getHistory(SIMPLE_INSTANCE).snapshots[0].gap);
+            });
+
+            it("should emit the end of the game", function() {
+                const finished = listen(man, EVENT_GAME_FINISHED);
+
+                man.finalizeHistory(SIMPLE_INSTANCE, FACTION_ARK);
+                assert.equal(finished.length, 1);
+                assert.strictEqual(finished[0].winner, FACTION_ARK);
+                assert.strictEqual(finished[0].time, man.getHistory(SIMPLE_INSTANCE).end);
+                assert.deepStrictEqual(finished[0].sectors, [{id: 0, owner: null, division: [{faction: null, points: 1}]}]);
+            });
+
+            it("should emit new and saved histories", function() {
+                const memMan = new HistoryManager(testRootDir, {host: host, storage: new MemoryStorage()});
+                const created = listen(memMan, EVENT_HISTORY_CREATED);
+                const saved = listen(memMan, EVENT_HISTORY_SAVED);
+
+                memMan.processNewInstance(MISSING_INSTANCE, {stellar_systems: [SIMPLE_SYSTEM], sectors: [SIMPLE_SECTOR]});
+                assert.equal(created.length, 1);
+                assert.strictEqual(created[0].history, memMan.getHistory(MISSING_INSTANCE));
+                assert.deepStrictEqual(saved, [{type: EVENT_HISTORY_SAVED, instance: MISSING_INSTANCE,
+                    key: MISSING_INSTANCE + "/history.json"}]);
+            });
+
+            it("should keep emitting when a listener fails", function() {
+                const logged = [];
+                const quietHost = new HeadlessHost({galaxy: host.galaxy, logger: (message, level) => logged.push(level)});
+                const quietMan = new HistoryManager(testRootDir, {host: quietHost});
+                quietMan.on(EVENT_SYSTEM_CAPTURED, () => {
+                    throw "listener broke";
+                });
+                const captured = listen(quietMan, EVENT_SYSTEM_CAPTURED);
+
+                capture(quietMan, FACTION_ARK);
+                assert.equal(captured.length, 1);
+                assert.deepStrictEqual(logged, [LOG_ERROR]);
+            });
+        });
+
+        describe("visibility", function() {
+
+            // Systems the recorder can see, by ID
+            let seen = undefined;
+            let seeingMan = undefined;
+
+            beforeEach(function() {
+                seen = new Set();
+                const seeingHost = new HeadlessHost({
+                    galaxy: createSimpleHistory().current, visibility: sys => seen.has(sys.id),
+                });
+                seeingMan = new HistoryManager(testRootDir, {host: seeingHost, storage: new MemoryStorage()});
+            });
+
+            function capture(manager, faction) {
+                const newSys = structuredClone(SIMPLE_SYSTEM);
+                newSys.faction = faction;
+                manager.applySystemUpdate(newSys, SIMPLE_INSTANCE);
+            }
+
+            it("should note which systems the recorder could see at the start", function() {
+                seen.add(SIMPLE_SYSTEM.id);
+                seeingMan.processNewInstance(MISSING_INSTANCE, {stellar_systems: [SIMPLE_SYSTEM], sectors: [SIMPLE_SECTOR]});
+
+                const history = seeingMan.getHistory(MISSING_INSTANCE);
+                assert.strictEqual(history.base.stellar_systems[0].visible, true);
+                assert.strictEqual(history.current.stellar_systems[0].visible, true);
+            });
+
+            it("should note whether each change was seen, and undo it", function() {
+                seeingMan.processNewInstance(SIMPLE_INSTANCE, {stellar_systems: [SIMPLE_SYSTEM], sectors: [SIMPLE_SECTOR]});
+                capture(seeingMan, FACTION_ARK);
+                seen.add(SIMPLE_SYSTEM.id);
+                capture(seeingMan, FACTION_TET);
+
+                const history = seeingMan.getHistory(SIMPLE_INSTANCE);
+                assert.strictEqual(history.base.stellar_systems[0].visible, false);
+                assert.strictEqual(history.snapshots[0].system.visible, false);
+                assert.strictEqual(history.snapshots[1].system.visible, true);
+                assert.strictEqual(history.undo[1].system.visible, false);
+                assert.strictEqual(history.current.stellar_systems[0].visible, true);
+            });
+
+            it("should record a system coming into sight without any other change", function() {
+                seeingMan.processNewInstance(SIMPLE_INSTANCE, {stellar_systems: [SIMPLE_SYSTEM], sectors: [SIMPLE_SECTOR]});
+                seeingMan.applySystemUpdate(structuredClone(SIMPLE_SYSTEM), SIMPLE_INSTANCE);
+                assert.equal(seeingMan.getHistory(SIMPLE_INSTANCE).snapshots.length, 0, "Nothing changed yet");
+
+                seen.add(SIMPLE_SYSTEM.id);
+                seeingMan.applySystemUpdate(structuredClone(SIMPLE_SYSTEM), SIMPLE_INSTANCE);
+
+                const history = seeingMan.getHistory(SIMPLE_INSTANCE);
+                assertSnapshotLengths(history, 1, 1);
+                assert.deepStrictEqual(history.snapshots[0].system,
+                    {id: SIMPLE_SYSTEM.id, sector_id: SIMPLE_SYSTEM.sector_id, visible: true});
+                assert.strictEqual(history.undo[0].system.visible, false);
+                assert.strictEqual(history.current.stellar_systems[0].visible, true);
+            });
+
+            it("should note nothing when the host doesn't know", function() {
+                const blindHost = new HeadlessHost({galaxy: createSimpleHistory().current});
+                const blindMan = new HistoryManager(testRootDir, {host: blindHost, storage: new MemoryStorage()});
+                blindMan.processNewInstance(SIMPLE_INSTANCE, {stellar_systems: [SIMPLE_SYSTEM], sectors: [SIMPLE_SECTOR]});
+                capture(blindMan, FACTION_ARK);
+
+                const history = blindMan.getHistory(SIMPLE_INSTANCE);
+                assert(!("visible" in history.base.stellar_systems[0]));
+                assert(!("visible" in history.snapshots[0].system));
+            });
         });
     });
 });
 
-/**
- * The `getSector` of HistoryManager normally calls the global `window` object to retrieve the current
- * actual state of the galaxy for the sector information. We need to mock it as the global `window`
- * wouldn't otherwise be available.
- */
-function mockGetSector(man, source) {
-    man.getSector = function(id) {
-        return source.current.sectors[id];
-    }
-}
+describe("HistoryPlayer", function() {
+
+    // HistoryPlayer instance under test
+    let player = undefined;
+
+    beforeEach(function() {
+        player = new HistoryPlayer(createTwoFlipHistory());
+    });
+
+    it("should start at the base state", function() {
+        assert.equal(player.index, 0);
+        assert.strictEqual(player.galaxy.stellar_systems[0].owner, null);
+        assert.strictEqual(player.galaxy.sectors[0].owner, null);
+        assert.equal(player.time, GAME_START_TIME);
+    });
+
+    it("should step forward and back", function() {
+        assert(player.stepForward());
+        assert.strictEqual(player.galaxy.stellar_systems[0].owner, SIMPLE_OWNER);
+        assert.strictEqual(player.galaxy.sectors[0].owner, FACTION_ARK);
+
+        assert(player.stepForward());
+        assert(!player.stepForward(), "Should not step past the end");
+        assert.strictEqual(player.galaxy.stellar_systems[0].owner, "Other");
+        assert.strictEqual(player.galaxy.sectors[0].owner, FACTION_TET);
+
+        assert(player.stepBack());
+        assert.strictEqual(player.galaxy.stellar_systems[0].owner, SIMPLE_OWNER);
+        assert.strictEqual(player.galaxy.sectors[0].owner, FACTION_ARK);
+
+        assert(player.stepBack());
+        assert(!player.stepBack(), "Should not step before the start");
+        assert.strictEqual(player.galaxy.stellar_systems[0].owner, null);
+        assert.strictEqual(player.galaxy.sectors[0].division[0].faction, null);
+    });
+
+    it("should not modify the history", function() {
+        const history = createTwoFlipHistory();
+        const p = new HistoryPlayer(history);
+        p.seekToIndex(2);
+        assert.deepStrictEqual(history, createTwoFlipHistory());
+    });
+
+    it("should seek to time", function() {
+        assert.equal(player.seekToTime("2022-03-25T00:00:00.000-04:00"), 1);
+        assert.strictEqual(player.galaxy.stellar_systems[0].owner, SIMPLE_OWNER);
+
+        assert.equal(player.seekToTime("2022-04-01T00:00:00.000-04:00"), 2);
+        assert.equal(player.seekToTime(SIMPLE_SYSTEM_FLIP_TIME), 1, "Snapshot at the exact time should be applied");
+        assert.equal(player.seekToTime(GAME_START_TIME), 0);
+        assert.strictEqual(player.galaxy.stellar_systems[0].owner, null);
+    });
+
+    it("should seek on the game timeline", function() {
+        const history = createTwoFlipHistory();
+        history.snapshots[0].gameTime = 100;
+        history.snapshots[1].gameTime = 200;
+        const gamePlayer = new HistoryPlayer(history, {timeline: TIMELINE_GAME});
+
+        assert.equal(gamePlayer.seekToTime(150), 1);
+        assert.equal(gamePlayer.gameTime, 100);
+        assert.equal(gamePlayer.seekToTime(200), 2);
+        assert.equal(gamePlayer.seekToTime(99), 0);
+        assert.strictEqual(gamePlayer.gameTime, null);
+    });
+
+    it("should seek from the nearest keyframe", function() {
+        const history = createTwoFlipHistory();
+        history.keyframes = buildKeyframes(history, {interval: 2});
+        player.seekToIndex(2);
+        const expected = structuredClone(player.galaxy);
+
+        // Replaying from the start would fail on this
+        history.snapshots[0].system.id = 99;
+
+        const keyframePlayer = new HistoryPlayer(history);
+        assert.equal(keyframePlayer.seekToTime(SECOND_FLIP_TIME), 2);
+        assert.deepStrictEqual(keyframePlayer.galaxy, expected);
+        assert.strictEqual(keyframePlayer.time, SECOND_FLIP_TIME);
+    });
+
+    it("should seek to index and reset", function() {
+        assert.equal(player.seekToIndex(2), 2);
+        assert.equal(player.time, SECOND_FLIP_TIME);
+        assert.throws(() => player.seekToIndex(3), /Index 3 is out of range/);
+
+        player.reset();
+        assert.equal(player.index, 0);
+        assert.strictEqual(player.galaxy.stellar_systems[0].owner, null);
+    });
+});
 
 function assertSnapshotLengths(history, snapshotsLen, undoLen) {
     assert.notEqual(history, null, "History shouldn't be null.");
@@ -444,4 +1451,33 @@ function createSimpleHistory() {
         start: GAME_START_TIME,
         currentTimestamp: SIMPLE_SYSTEM_FLIP_TIME
     }
-}
\ No newline at end of file
+}
+
+function createTwoFlipHistory() {
+    const history = new History(30, {
+        stellar_systems: [{"id": 1, "name": "system name", "owner": null, "faction": null, "sector_id": 0,
+            "status": "uninhabited"}],
+        sectors: [{"id": 0, "name": "simple sector", "owner": null, "division": [{"faction": null, points: 1}]}],
+    });
+    history.start = GAME_START_TIME;
+    history.currentTimestamp = SECOND_FLIP_TIME;
+
+    history.snapshots = [
+        {time: SIMPLE_SYSTEM_FLIP_TIME,
+            system: {id: 1, owner: SIMPLE_OWNER, faction: FACTION_ARK, status: "inhabited", sector_id: 0},
+            sector: {id: 0, owner: FACTION_ARK, division: [{faction: FACTION_ARK, points: 1}]}},
+        {time: SECOND_FLIP_TIME,
+            system: {id: 1, owner: "Other", faction: FACTION_TET, status: "inhabited", sector_id: 0},
+            sector: {id: 0, owner: FACTION_TET, division: [{faction: FACTION_TET, points: 1}]}},
+    ];
+    history.undo = [
+        {time: SIMPLE_SYSTEM_FLIP_TIME,
+            system: {id: 1, owner: null, faction: null, status: "uninhabited", sector_id: 0},
+            sector: {id: 0, owner: null, division: [{faction: null, points: 1}]}},
+        {time: SECOND_FLIP_TIME,
+            system: {id: 1, owner: SIMPLE_OWNER, faction: FACTION_ARK, status: "inhabited", sector_id: 0},
+            sector: {id: 0, owner: FACTION_ARK, division: [{faction: FACTION_ARK, points: 1}]}},
+    ];
+
+    return history;
+}
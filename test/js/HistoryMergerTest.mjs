@@ -0,0 +1,186 @@
+import assert from 'assert';
+import {History} from "../../HistoryManager.mjs";
+import {HistoryMerger} from "../../HistoryMerger.mjs";
+import {HistoryValidator} from "../../HistoryValidator.mjs";
+import structuredClone from "realistic-structured-clone";
+
+const INSTANCE = 42;
+const FACTION_ARK = "ark";
+const FACTION_TET = "tet";
+
+const START = "2022-03-24T09:00:00.000-04:00";
+const LATER_START = "2022-03-24T09:30:00.000-04:00";
+
+const GALAXY = {
+    stellar_systems: [
+        {id: 1, name: "Alpha", sector_id: 0, faction: null},
+        {id: 2, name: "Beta", sector_id: 0, faction: null},
+    ],
+    sectors: [
+        {id: 0, name: "Rim", owner: null, division: [{faction: null, points: 2}]},
+    ],
+};
+
+/**
+ * @param time  Time of day on the day of START, such as "10:00:00".
+ */
+function at(time) {
+    return "2022-03-24T" + time + ".000-04:00";
+}
+
+function change(systemId, faction) {
+    return {system: {id: systemId, sector_id: 0, faction: faction}};
+}
+
+function capture(time, systemId, faction) {
+    return Object.assign({time: at(time), gameTime: null}, change(systemId, faction));
+}
+
+function gap(start, end, changes) {
+    return {time: at(end), gameTime: null, gap: {start: at(start), end: at(end), gameStart: null, gameEnd: null},
+        changes: changes};
+}
+
+/**
+ * A valid history of the given records, with its undo records and current state built the way a repair would.
+ */
+function createHistory(records, start = START) {
+    const history = Object.assign(new History(), {
+        instance: INSTANCE, start: start, base: structuredClone(GALAXY), current: structuredClone(GALAXY),
+        snapshots: records, undo: [], currentTimestamp: start,
+    });
+    if(records.length > 0 && "final" in records[records.length - 1]) {
+        history.complete = true;
+        history.winner = records[records.length - 1].final.winner;
+    }
+    return new HistoryValidator().repair(history).history;
+}
+
+function factionsOf(history) {
+    return history.snapshots.map(s => (s.changes || [s]).map(c => c.system ? c.system.id + ":" + c.system.faction : "")
+        .join(","));
+}
+
+describe("HistoryMerger", function() {
+
+    // HistoryMerger instance under test
+    let merger = undefined;
+
+    beforeEach(function() {
+        merger = new HistoryMerger();
+    });
+
+    it("should interleave what each player recorded", function() {
+        const mine = createHistory([capture("10:00:00", 1, FACTION_ARK), capture("12:00:00", 1, FACTION_TET)]);
+        const theirs = createHistory([capture("11:00:00", 2, FACTION_TET)], LATER_START);
+
+        const res = merger.merge([mine, theirs]);
+        assert.deepStrictEqual(factionsOf(res.history), ["1:ark", "2:tet", "1:tet"]);
+        assert.equal(res.duplicates, 0);
+        assert.deepStrictEqual(res.conflicts, []);
+        assert.strictEqual(res.history.instance, INSTANCE);
+        assert.strictEqual(res.history.start, START);
+        assert.deepStrictEqual(new HistoryValidator().validate(res.history), []);
+    });
+
+    it("should keep one of the changes recorded by several players", function() {
+        const mine = createHistory([capture("10:00:00", 1, FACTION_ARK), capture("10:00:30", 1, FACTION_TET)]);
+        const theirs = createHistory([capture("10:00:05", 1, FACTION_ARK), capture("10:00:33", 1, FACTION_TET)]);
+
+        const res = merger.merge([mine, theirs]);
+        assert.deepStrictEqual(factionsOf(res.history), ["1:ark", "1:tet"]);
+        assert.strictEqual(res.history.snapshots[0].time, at("10:00:00"));
+        assert.equal(res.duplicates, 2);
+        assert.deepStrictEqual(new HistoryValidator().validate(res.history), []);
+    });
+
+    it("should count a change as seen if any player saw it", function() {
+        const unseen = capture("10:00:00", 1, FACTION_ARK);
+        unseen.system.visible = false;
+        const seen = capture("10:00:05", 1, FACTION_ARK);
+        seen.system.visible = true;
+
+        const res = merger.merge([createHistory([unseen]), createHistory([seen])]);
+        assert.deepStrictEqual(factionsOf(res.history), ["1:ark"]);
+        assert.equal(res.duplicates, 1);
+        assert.deepStrictEqual(res.conflicts, []);
+        assert.strictEqual(res.history.snapshots[0].system.visible, true);
+        assert.deepStrictEqual(new HistoryValidator().validate(res.history), []);
+    });
+
+    it("should keep the first history's side of a conflict", function() {
+        const mine = createHistory([capture("10:00:00", 1, FACTION_ARK)]);
+        const theirs = createHistory([capture("09:59:50", 1, FACTION_TET)]);
+
+        const res = merger.merge([mine, theirs]);
+        assert.deepStrictEqual(factionsOf(res.history), ["1:ark"]);
+        assert.equal(res.conflicts.length, 1);
+        assert.strictEqual(res.conflicts[0].kind, "system");
+        assert.strictEqual(res.conflicts[0].id, 1);
+        assert.strictEqual(res.conflicts[0].kept.source, 0);
+        assert.strictEqual(res.conflicts[0].dropped.source, 1);
+        assert.strictEqual(res.conflicts[0].dropped.change.system.faction, FACTION_TET);
+    });
+
+    it("should not match changes further apart than the tolerance", function() {
+        const mine = createHistory([capture("10:00:00", 1, FACTION_ARK)]);
+        const theirs = createHistory([capture("10:00:20", 1, FACTION_TET)]);
+
+        const res = new HistoryMerger({tolerance: 10}).merge([mine, theirs]);
+        assert.deepStrictEqual(factionsOf(res.history), ["1:ark", "1:tet"]);
+        assert.deepStrictEqual(res.conflicts, []);
+    });
+
+    it("should prefer an exact time over a gap", function() {
+        const mine = createHistory([gap("09:30:00", "12:00:00", [change(1, FACTION_ARK), change(2, FACTION_TET)])]);
+        const theirs = createHistory([capture("10:00:00", 1, FACTION_ARK)]);
+
+        const res = merger.merge([mine, theirs]);
+        assert.deepStrictEqual(factionsOf(res.history), ["1:ark", "2:tet"]);
+        assert.strictEqual(res.history.snapshots[0].time, at("10:00:00"));
+        assert.strictEqual(res.history.snapshots[1].gap.end, at("12:00:00"));
+        assert.equal(res.duplicates, 1);
+        assert.deepStrictEqual(new HistoryValidator().validate(res.history), []);
+    });
+
+    it("should keep a gap change that came after what others recorded", function() {
+        const mine = createHistory([gap("09:30:00", "12:00:00", [change(1, FACTION_TET)])]);
+        const theirs = createHistory([capture("10:00:00", 1, FACTION_ARK)]);
+
+        const res = merger.merge([mine, theirs]);
+        assert.deepStrictEqual(factionsOf(res.history), ["1:ark", "1:tet"]);
+        assert.deepStrictEqual(res.conflicts, []);
+    });
+
+    it("should end with the first history's final record", function() {
+        const mine = createHistory([capture("10:00:00", 1, FACTION_ARK),
+            {time: at("13:00:00"), final: {winner: FACTION_ARK, sectors: []}}]);
+        const theirs = createHistory([capture("12:00:00", 2, FACTION_ARK),
+            {time: at("13:00:02"), final: {winner: FACTION_TET, sectors: []}}]);
+
+        const res = merger.merge([mine, theirs]);
+        assert.equal(res.history.snapshots.length, 3);
+        assert.strictEqual(res.history.complete, true);
+        assert.strictEqual(res.history.winner, FACTION_ARK);
+        assert.strictEqual(res.history.end, at("13:00:00"));
+        assert.strictEqual(res.conflicts[0].kind, "final");
+        assert.deepStrictEqual(new HistoryValidator().validate(res.history), []);
+    });
+
+    it("should not modify the histories merged", function() {
+        const mine = createHistory([capture("10:00:00", 1, FACTION_ARK)]);
+        const theirs = createHistory([capture("10:00:05", 1, FACTION_ARK), capture("11:00:00", 2, FACTION_TET)]);
+        const before = JSON.stringify([mine, theirs]);
+
+        merger.merge([mine, theirs]);
+        assert.strictEqual(JSON.stringify([mine, theirs]), before);
+    });
+
+    it("should reject histories of different instances", function() {
+        const other = createHistory([]);
+        other.instance = INSTANCE + 1;
+
+        assert.throws(() => merger.merge([createHistory([]), other]), /Expected histories of a single instance/);
+        assert.throws(() => merger.merge([]), /Expected at least one history/);
+    });
+});
@@ -0,0 +1,136 @@
+import assert from 'assert';
+import {buildKeyframes, TIMELINE_GAME} from "../../HistoryManager.mjs";
+import {HistoryQuery} from "../../HistoryQuery.mjs";
+import {createGalaxy, FACTION_ARK, FACTION_TET, GAME_START_TIME, recordGame} from "./fixtures/RecordedGame.mjs";
+
+const FIRST_FLIP_TIME = "2022-03-12T10:00:00.000-04:00";
+const SECTOR_SHIFT_TIME = "2022-03-14T10:00:00.000-04:00";
+const GAP_TIME = "2022-03-20T10:00:00.000-04:00";
+
+describe("HistoryQuery", function() {
+
+    // HistoryQuery instance under test
+    let query = undefined;
+
+    beforeEach(function() {
+        query = new HistoryQuery(createQueryHistory());
+    });
+
+    describe("#ownerAt", function() {
+        it("should give the state at the start before any snapshot", function() {
+            assert.deepStrictEqual(query.ownerAt(1, GAME_START_TIME), {
+                id: 1, name: "Alpha", sector_id: 0, owner: null, faction: null, status: "uninhabited", visible: null,
+            });
+        });
+
+        it("should give the state as of the last snapshot at or before the time", function() {
+            assert.strictEqual(query.ownerAt(1, FIRST_FLIP_TIME).owner, "Granite");
+            assert.strictEqual(query.ownerAt(1, "2022-03-19T10:00:00.000-04:00").faction, FACTION_ARK);
+            assert.strictEqual(query.ownerAt(1, GAP_TIME).owner, "Other");
+
+            // Going back in time works too
+            assert.strictEqual(query.ownerAt(1, "2022-03-02T10:00:00.000-04:00").owner, null);
+        });
+
+        it("should throw for unknown systems", function() {
+            assert.throws(() => query.ownerAt(99, GAP_TIME), /Null system ID: 99 in instance 60/);
+        });
+
+        it("should query the game timeline", function() {
+            const gameQuery = new HistoryQuery(createQueryHistory(), {timeline: TIMELINE_GAME});
+            assert.strictEqual(gameQuery.ownerAt(1, 1500).owner, "Granite");
+            assert.strictEqual(gameQuery.ownerAt(1, 999).owner, null);
+        });
+
+        it("should give the same answers starting from keyframes", function() {
+            const history = createQueryHistory();
+            history.keyframes = buildKeyframes(history, {interval: 1});
+            const keyframeQuery = new HistoryQuery(history);
+
+            [GAME_START_TIME, FIRST_FLIP_TIME, SECTOR_SHIFT_TIME, GAP_TIME].forEach(time => {
+                assert.deepStrictEqual(keyframeQuery.ownerAt(1, time), query.ownerAt(1, time));
+            });
+        });
+    });
+
+    describe("#sectorControlAt", function() {
+        it("should give the named sector's control at the time", function() {
+            assert.deepStrictEqual(query.sectorControlAt(0, SECTOR_SHIFT_TIME), {
+                id: 0, name: "Core", owner: null,
+                division: [{faction: FACTION_ARK, points: 1}, {faction: FACTION_TET, points: 1}],
+            });
+        });
+    });
+
+    describe("#galaxyAt", function() {
+        it("should give a copy of the galaxy at the time", function() {
+            const galaxy = query.galaxyAt(FIRST_FLIP_TIME);
+            assert.strictEqual(galaxy.stellar_systems[0].owner, "Granite");
+            assert.strictEqual(galaxy.stellar_systems[0].name, "Alpha");
+
+            galaxy.stellar_systems[0].owner = "changed";
+            assert.strictEqual(query.galaxyAt(FIRST_FLIP_TIME).stellar_systems[0].owner, "Granite");
+        });
+    });
+
+    describe("#systemTimeline", function() {
+        it("should list every state of the system", function() {
+            const timeline = query.systemTimeline(1);
+            assert.deepStrictEqual(timeline.map(e => [e.index, e.time, e.owner]), [
+                [0, GAME_START_TIME, null],
+                [1, FIRST_FLIP_TIME, "Granite"],
+                [3, GAP_TIME, "Other"],
+            ]);
+            assert.strictEqual(timeline[1].name, "Alpha");
+            assert.strictEqual(timeline[1].gameTime, 1000);
+        });
+
+        it("should mark changes caught up on within a gap", function() {
+            const timeline = query.systemTimeline(1);
+            assert.strictEqual(timeline[1].gap, undefined);
+            assert.deepStrictEqual(timeline[2].gap, {start: SECTOR_SHIFT_TIME, end: GAP_TIME, gameStart: 2000,
+                gameEnd: 3000});
+        });
+
+        it("should mark changes the recorder couldn't see", function() {
+            const history = recordGame(60, createGalaxy({1: {visible: true}}), [
+                {time: FIRST_FLIP_TIME, systems: {1: {owner: "Granite", faction: FACTION_ARK, visible: false}}},
+                {time: GAP_TIME, gap: true, systems: {1: {owner: "Other", faction: FACTION_TET, visible: true}}},
+            ]);
+
+            const timeline = new HistoryQuery(history).systemTimeline(1);
+            assert.deepStrictEqual(timeline.map(e => e.visible), [true, false, true]);
+            assert.strictEqual(new HistoryQuery(history).ownerAt(1, FIRST_FLIP_TIME).visible, false);
+        });
+
+        it("should throw for unknown systems", function() {
+            assert.throws(() => query.systemTimeline(99), /Null system ID: 99/);
+        });
+    });
+
+    describe("#sectorTimeline", function() {
+        it("should list every change of control of the sector", function() {
+            const timeline = query.sectorTimeline(0);
+            assert.deepStrictEqual(timeline.map(e => [e.index, e.owner]), [
+                [0, null], [1, FACTION_ARK], [2, null], [3, FACTION_TET],
+            ]);
+            assert.strictEqual(timeline[3].name, "Core");
+            assert.deepStrictEqual(timeline[3].division, [{faction: FACTION_TET, points: 2}]);
+        });
+    });
+});
+
+/**
+ * Two systems in one sector: Alpha is taken by ark, tet then gains influence in the sector, and finally takes Alpha
+ * while nobody was recording.
+ */
+function createQueryHistory() {
+    return recordGame(60, createGalaxy(), [
+        {time: FIRST_FLIP_TIME, gameTime: 1000, systems: {1: {owner: "Granite", faction: FACTION_ARK, status: "inhabited"}},
+            sectors: {0: {owner: FACTION_ARK, division: [{faction: FACTION_ARK, points: 1}, {faction: null, points: 1}]}}},
+        {time: SECTOR_SHIFT_TIME, gameTime: 2000,
+            sectors: {0: {owner: null, division: [{faction: FACTION_ARK, points: 1}, {faction: FACTION_TET, points: 1}]}}},
+        {time: GAP_TIME, gameTime: 3000, gap: true, systems: {1: {owner: "Other", faction: FACTION_TET}},
+            sectors: {0: {owner: FACTION_TET, division: [{faction: FACTION_TET, points: 2}]}}},
+    ]);
+}
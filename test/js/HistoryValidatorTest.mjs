@@ -0,0 +1,196 @@
+import assert from 'assert';
+import {buildKeyframes, History} from "../../HistoryManager.mjs";
+import {HistoryValidator} from "../../HistoryValidator.mjs";
+
+const FACTION_ARK = "ark";
+const FLIP_TIME = "2022-03-24T10:00:00.000-04:00";
+
+describe("HistoryValidator", function() {
+
+    // HistoryValidator instance under test
+    let validator = undefined;
+
+    beforeEach(function() {
+        validator = new HistoryValidator();
+    });
+
+    describe("#validate", function() {
+        it("should accept a consistent history", function() {
+            assert.deepStrictEqual(validator.validate(createValidHistory()), []);
+        });
+
+        it("should report schema errors", function() {
+            const history = createValidHistory();
+            history.start = 5;
+            delete history.current.sectors;
+
+            const errors = validator.validate(history);
+            assert.equal(errors.length, 2);
+            assert.match(errors[0], /Expected `start` to be a string, found 5/);
+            assert.match(errors[1], /Expected `current` to hold `stellar_systems` and `sectors`/);
+        });
+
+        it("should report unknown versions", function() {
+            const history = createValidHistory();
+            history.VERSION = 0.5;
+            assert.match(validator.validate(history)[0], /No schema for history version 0.5/);
+        });
+
+        it("should report mismatched snapshot and undo lengths", function() {
+            const history = createValidHistory();
+            history.undo = [];
+
+            const errors = validator.validate(history);
+            assert.match(errors[0], /Expected as many undo records as snapshots, found 0 undo records for 1 snapshots/);
+        });
+
+        it("should report current drifting from snapshots", function() {
+            const history = createValidHistory();
+            history.current.stellar_systems[0].owner = "someone else";
+
+            const errors = validator.validate(history);
+            assert(errors.includes("Replaying snapshots from base: System 1 `owner` is \"Granite\", expected \"someone else\""),
+                "Unexpected errors: " + errors);
+        });
+
+        it("should report snapshots that reference missing systems", function() {
+            const history = createValidHistory();
+            history.snapshots[0].system.id = 99;
+
+            const errors = validator.validate(history);
+            assert.match(errors[0], /Snapshot 0 could not be applied: Null system ID: 99/);
+        });
+    });
+
+    describe("#validate final records", function() {
+        it("should accept a complete history ending in a final record", function() {
+            const history = createValidHistory();
+            history.snapshots.push({time: FLIP_TIME, final: {winner: FACTION_ARK, sectors: []}});
+            history.undo.push({time: FLIP_TIME, final: null});
+            history.complete = true;
+
+            assert.deepStrictEqual(validator.validate(history), []);
+        });
+
+        it("should report a final record that isn't last", function() {
+            const history = createValidHistory();
+            history.snapshots.unshift({time: FLIP_TIME, final: {winner: FACTION_ARK, sectors: []}});
+            history.undo.unshift({time: FLIP_TIME, final: null});
+            history.complete = true;
+
+            assert.deepStrictEqual(validator.validate(history),
+                ["Snapshot 0 is a final record, but is followed by more snapshots"]);
+        });
+
+        it("should report a complete history without a final record", function() {
+            const history = createValidHistory();
+            history.complete = true;
+
+            assert.deepStrictEqual(validator.validate(history), ["History is complete, but has no final record"]);
+        });
+    });
+
+    describe("#validate gap records", function() {
+        it("should accept a consistent gap record", function() {
+            const history = createValidHistory();
+            history.snapshots[0] = {time: FLIP_TIME, gap: {start: history.start, end: FLIP_TIME},
+                changes: [history.snapshots[0]]};
+            history.undo[0] = {time: FLIP_TIME, gap: {start: history.start, end: FLIP_TIME},
+                changes: [history.undo[0]]};
+            delete history.snapshots[0].changes[0].time;
+            delete history.undo[0].changes[0].time;
+
+            assert.deepStrictEqual(validator.validate(history), []);
+
+            history.undo = [];
+            assert.deepStrictEqual(validator.repair(history).history.undo, [{time: FLIP_TIME,
+                gap: {start: history.start, end: FLIP_TIME}, changes: createValidHistory().undo.map(u => {
+                    delete u.time;
+                    return u;
+                })}]);
+        });
+    });
+
+    describe("#validate keyframes", function() {
+        it("should accept keyframes matching the snapshots", function() {
+            const history = createValidHistory();
+            history.keyframes = buildKeyframes(history, {interval: 1});
+            assert.equal(history.keyframes.length, 1);
+
+            assert.deepStrictEqual(validator.validate(history), []);
+        });
+
+        it("should report a keyframe drifting from the snapshots", function() {
+            const history = createValidHistory();
+            history.keyframes = buildKeyframes(history, {interval: 1});
+            history.keyframes[0].stellar_systems[0].owner = "someone else";
+
+            assert.deepStrictEqual(validator.validate(history),
+                ["Replaying snapshots to keyframe 0: System 1 `owner` is \"Granite\", expected \"someone else\""]);
+        });
+
+        it("should report a keyframe past the end of the snapshots", function() {
+            const history = createValidHistory();
+            history.keyframes = buildKeyframes(history, {interval: 1});
+            history.keyframes[0].index = 2;
+
+            assert.match(validator.validate(history)[0], /Keyframe 0 is at index 2, past the end of the snapshots/);
+        });
+    });
+
+    describe("#repair", function() {
+        it("should rebuild current and undo from snapshots", function() {
+            const history = createValidHistory();
+            history.current.stellar_systems[0].owner = "someone else";
+            history.undo = [];
+
+            const res = validator.repair(history);
+            assert.deepStrictEqual(res.dropped, []);
+            assert.deepStrictEqual(validator.validate(res.history), []);
+            assert.deepStrictEqual(res.history.undo, createValidHistory().undo);
+            assert.strictEqual(history.current.stellar_systems[0].owner, "someone else", "Should not modify the input");
+        });
+
+        it("should drop snapshots that can't be applied", function() {
+            const history = createValidHistory();
+            history.snapshots.unshift({time: FLIP_TIME, system: {id: 99, owner: "nobody"}});
+
+            const res = validator.repair(history);
+            assert.deepStrictEqual(res.dropped, [0]);
+            assert.equal(res.history.snapshots.length, 1);
+            assert.deepStrictEqual(validator.validate(res.history), []);
+        });
+
+        it("should rebuild keyframes", function() {
+            const history = createValidHistory();
+            history.keyframes = [{index: 1, time: FLIP_TIME, stellar_systems: [], sectors: [{id: 0, owner: "nobody"}]}];
+
+            const res = validator.repair(history);
+            assert.deepStrictEqual(res.history.keyframes, buildKeyframes(history));
+            assert.deepStrictEqual(validator.validate(res.history), []);
+        });
+    });
+});
+
+function createValidHistory() {
+    const history = new History(50, {
+        stellar_systems: [{id: 1, name: "system name", owner: null, faction: null, sector_id: 0, status: "uninhabited"}],
+        sectors: [{id: 0, name: "simple sector", owner: null, division: [{faction: null, points: 1}]}],
+    });
+    history.start = "2022-03-24T09:00:00.000-04:00";
+    history.currentTimestamp = FLIP_TIME;
+
+    history.snapshots.push({time: FLIP_TIME,
+        system: {id: 1, sector_id: 0, owner: "Granite", faction: FACTION_ARK},
+        sector: {id: 0, owner: FACTION_ARK, division: [{faction: FACTION_ARK, points: 1}]}});
+    history.undo.push({time: FLIP_TIME,
+        system: {id: 1, sector_id: 0, owner: null, faction: null},
+        sector: {id: 0, owner: null, division: [{faction: null, points: 1}]}});
+
+    history.current.stellar_systems[0].owner = "Granite";
+    history.current.stellar_systems[0].faction = FACTION_ARK;
+    history.current.sectors[0].owner = FACTION_ARK;
+    history.current.sectors[0].division = [{faction: FACTION_ARK, points: 1}];
+
+    return history;
+}
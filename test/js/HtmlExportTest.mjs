@@ -0,0 +1,135 @@
+import assert from 'assert';
+import zlib from "zlib";
+import {ENCODING_GZIP_BASE64, HtmlExport} from "../../HtmlExport.mjs";
+import {NEUTRAL_COLOUR} from "../../SvgRenderer.mjs";
+import {createGalaxy, FACTION_ARK, FACTION_TET, recordGame} from "./fixtures/RecordedGame.mjs";
+
+const FIRST_FLIP_TIME = "2022-03-02T10:00:00.000-04:00";
+const GAP_TIME = "2022-03-03T10:00:00.000-04:00";
+
+describe("HtmlExport", function() {
+
+    it("should bundle the history without undo records", function() {
+        const html = new HtmlExport(createExportHistory()).toHtml();
+        const data = JSON.parse(scriptContent(html, "replay-data"));
+
+        assert(html.startsWith("<!DOCTYPE html>"));
+        assert(html.includes("<title>Replay of instance 110</title>"));
+        assert.deepStrictEqual(data.snapshots, createExportHistory().snapshots);
+        assert.strictEqual(data.undo, undefined);
+    });
+
+    it("should compress the history", function() {
+        const html = new HtmlExport(createExportHistory(), {compress: true}).toHtml();
+        assert(html.includes("data-encoding=\"" + ENCODING_GZIP_BASE64 + "\""));
+
+        const data = JSON.parse(zlib.gunzipSync(Buffer.from(scriptContent(html, "replay-data"), "base64")).toString());
+        assert.deepStrictEqual(data.base, createExportHistory().base);
+    });
+
+    it("should keep the history from ending its script element", function() {
+        const history = createExportHistory();
+        history.base.stellar_systems[0].name = "</script><script>alert(1)";
+
+        const html = new HtmlExport(history).toHtml();
+        assert(!html.includes("</script><script>alert(1)"));
+        assert.strictEqual(JSON.parse(scriptContent(html, "replay-data")).base.stellar_systems[0].name,
+            "</script><script>alert(1)");
+    });
+
+    describe("player", function() {
+        [false, true].forEach(compress => {
+            it("should recolour the frame while seeking" + (compress ? ", compressed" : ""), async function() {
+                const exporter = new HtmlExport(createExportHistory(), {compress: compress, colours: {
+                    [FACTION_ARK]: "red", [FACTION_TET]: "blue",
+                }});
+                const page = await playPage(exporter.toHtml());
+
+                assert.equal(page.error.textContent, undefined);
+                assert.equal(page.position.max, 2);
+                assert.strictEqual(page.fill("data-system", "1"), NEUTRAL_COLOUR);
+
+                page.seek(1);
+                assert.strictEqual(page.fill("data-system", "1"), "red");
+                assert.strictEqual(page.fill("data-sector", "0"), "red");
+
+                page.seek(2);
+                assert.strictEqual(page.fill("data-system", "1"), "blue");
+                assert.strictEqual(page.fill("data-sector", "0"), NEUTRAL_COLOUR);
+
+                page.seek(0);
+                assert.strictEqual(page.fill("data-system", "2"), "blue");
+                assert.strictEqual(page.fill("data-sector", "0"), NEUTRAL_COLOUR);
+            });
+        });
+    });
+});
+
+function scriptContent(html, id) {
+    return html.match(new RegExp("<script id=\"" + id + "\"[^>]*>([\\s\\S]*?)</script>"))[1];
+}
+
+/**
+ * Runs the player of a page against just enough of a document to follow what it does to the frame.
+ */
+async function playPage(html) {
+    const element = attributes => {
+        const listeners = {};
+        return {
+            attributes: attributes,
+            getAttribute: name => name in attributes ? attributes[name] : null,
+            setAttribute: (name, value) => attributes[name] = value,
+            addEventListener: (type, listener) => listeners[type] = listener,
+            dispatch: type => listeners[type](),
+        };
+    };
+
+    const shapes = Array.from(html.matchAll(/<(?:polygon|circle) (data-system|data-sector)="([^"]*)"/g))
+        .map(m => element({[m[1]]: m[2]}));
+    const ids = {
+        "replay-data": element({
+            "data-encoding": /<script id="replay-data"[^>]*data-encoding/.test(html) ? ENCODING_GZIP_BASE64 : null,
+        }),
+        "replay-settings": element({}),
+    };
+    ids["replay-data"].textContent = scriptContent(html, "replay-data");
+    ids["replay-settings"].textContent = scriptContent(html, "replay-settings");
+    ["position", "play", "speed", "time", "controls", "error"].forEach(id => ids[id] = element({}));
+
+    const document = {
+        getElementById: id => ids[id],
+        querySelectorAll: selector => {
+            if(selector === "[data-system]" || selector === "[data-sector]")
+                return shapes.filter(s => s.getAttribute(selector.slice(1, -1)) !== null);
+            return [];
+        },
+    };
+
+    const script = html.slice(html.lastIndexOf("<script>") + "<script>".length, html.lastIndexOf("</script>"));
+    await new Function("document", "return " + script.trim())(document);
+
+    return {
+        error: ids.error,
+        position: ids.position,
+        fill: (attribute, id) => shapes.find(s => s.getAttribute(attribute) === id).getAttribute("fill"),
+        seek: n => {
+            ids.position.value = n;
+            ids.position.dispatch("input");
+        },
+    };
+}
+
+/**
+ * Core with Alpha and Beta, where ark takes Alpha and Core, and tet takes Alpha back while nobody was recording.
+ */
+function createExportHistory() {
+    const galaxy = createGalaxy({
+        1: {position: {x: 0, y: 0}},
+        2: {faction: FACTION_TET, position: {x: 100, y: 50}},
+    }, {0: {points: [[0, 0], [100, 0], [100, 50]]}});
+
+    return recordGame(110, galaxy, [
+        {time: FIRST_FLIP_TIME, systems: {1: {faction: FACTION_ARK}}, sectors: {0: {owner: FACTION_ARK}}},
+        {time: GAP_TIME, gap: true, systems: {1: {faction: FACTION_TET}}, sectors: {0: {owner: null}}},
+    ]);
+}
@@ -0,0 +1,163 @@
+import assert from 'assert';
+import {HistoryManager} from "../../HistoryManager.mjs";
+import {HeadlessHost} from "../../HostAdapters.mjs";
+import {LiveStream} from "../../LiveStream.mjs";
+import {MemoryStorage} from "../../StorageBackends.mjs";
+
+const FACTION_ARK = "ark";
+
+const LIVE_INSTANCE = 130;
+const OTHER_INSTANCE = 131;
+
+describe("LiveStream", function() {
+
+    // LiveStream instance under test
+    let stream = undefined;
+
+    let man = undefined;
+    let host = undefined;
+    let port = undefined;
+
+    beforeEach(async function() {
+        host = new HeadlessHost();
+        man = new HistoryManager("./", {host: host, storage: new MemoryStorage()});
+        [LIVE_INSTANCE, OTHER_INSTANCE].forEach(instance => man.processNewInstance(instance, createLiveGalaxy()));
+        host.galaxy = createLiveGalaxy();
+
+        stream = new LiveStream(man);
+        port = await stream.listen(0);
+    });
+
+    afterEach(async function() {
+        await stream.close();
+    });
+
+    function flip(instance, faction) {
+        host.galaxy.sectors[0].owner = faction;
+        man.applySystemUpdate({id: 1, name: "Alpha", owner: "Granite", faction: faction, sector_id: 0}, instance);
+    }
+
+    /**
+     * Reads the events of a stream until the given number have arrived.
+     */
+    async function readEvents(res, count) {
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let text = "";
+        let events = [];
+        while(events.length < count) {
+            const {value, done} = await reader.read();
+            if(done)
+                break;
+            text += decoder.decode(value);
+            events = text.split("\n\n").filter(e => e.startsWith("event: ")).map(e => {
+                const [name, data] = e.split("\n");
+                return {name: name.slice("event: ".length), data: JSON.parse(data.slice("data: ".length))};
+            });
+        }
+        reader.releaseLock();
+        return events;
+    }
+
+    async function waitForClients(count) {
+        while(stream.clients < count)
+            await new Promise(r => setTimeout(r, 5));
+    }
+
+    it("should send the state, then each new record", async function() {
+        stream.follow(LIVE_INSTANCE);
+        const res = await fetch("http://127.0.0.1:" + port + "/events?instance=" + LIVE_INSTANCE);
+        assert.strictEqual(res.headers.get("content-type"), "text/event-stream");
+        await waitForClients(1);
+
+        flip(OTHER_INSTANCE, FACTION_ARK);
+        flip(LIVE_INSTANCE, FACTION_ARK);
+        const events = await readEvents(res, 2);
+
+        assert.deepStrictEqual(events.map(e => e.name), ["state", "record"]);
+        assert.strictEqual(events[0].data.instance, LIVE_INSTANCE);
+        assert.strictEqual(events[0].data.index, 0);
+        assert.deepStrictEqual(events[0].data.current, createLiveGalaxy());
+
+        assert.strictEqual(events[1].data.instance, LIVE_INSTANCE, "Records of other instances aren't sent");
+        assert.strictEqual(events[1].data.index, 1);
+        assert.strictEqual(events[1].data.record.system.faction, FACTION_ARK);
+    });
+
+    it("should send the current state to late comers", async function() {
+        flip(LIVE_INSTANCE, FACTION_ARK);
+        stream.follow(LIVE_INSTANCE);
+
+        const res = await fetch("http://127.0.0.1:" + port + "/events");
+        const events = await readEvents(res, 1);
+        assert.strictEqual(events[0].data.index, 1);
+        assert.strictEqual(events[0].data.current.stellar_systems[0].faction, FACTION_ARK);
+        assert.strictEqual(events[0].data.base.stellar_systems[0].faction, null);
+    });
+
+    it("should serve a page showing the map", async function() {
+        stream.follow(LIVE_INSTANCE);
+        const res = await fetch("http://127.0.0.1:" + port + "/?instance=" + LIVE_INSTANCE);
+        const html = await res.text();
+
+        assert.equal(res.status, 200);
+        assert(html.includes("<title>Live map of instance " + LIVE_INSTANCE + "</title>"), html);
+        assert(html.includes("data-system=\"1\""), html);
+        assert(html.includes("new EventSource(\"events?instance=\""), html);
+    });
+
+    it("should reject unknown instances", async function() {
+        assert.equal((await fetch("http://127.0.0.1:" + port + "/events?instance=" + LIVE_INSTANCE)).status, 404,
+            "Not following anything yet");
+        assert.equal((await fetch("http://127.0.0.1:" + port + "/events")).status, 404, "Not following anything yet");
+        assert.equal((await fetch("http://127.0.0.1:" + port + "/other")).status, 404);
+    });
+
+    it("should only serve the instance followed", async function() {
+        stream.follow(LIVE_INSTANCE);
+
+        const other = await fetch("http://127.0.0.1:" + port + "/events?instance=" + OTHER_INSTANCE);
+        assert.equal(other.status, 404);
+        assert.strictEqual(await other.text(), "Not following instance " + OTHER_INSTANCE);
+        assert.equal((await fetch("http://127.0.0.1:" + port + "/?instance=..%2F..%2Fsecret")).status, 404);
+    });
+
+    it("should end streams and stop listening to records on close", async function() {
+        stream.follow(LIVE_INSTANCE);
+        const res = await fetch("http://127.0.0.1:" + port + "/events?instance=" + LIVE_INSTANCE);
+        await waitForClients(1);
+
+        await stream.close();
+        assert.equal(stream.clients, 0);
+        assert.equal((await readEvents(res, 2)).length, 1, "Expected the stream to end after the state");
+
+        // Nothing is listening anymore, which mustn't get in the way of recording
+        flip(LIVE_INSTANCE, FACTION_ARK);
+        assert.equal(man.getHistory(LIVE_INSTANCE).snapshots.length, 1);
+    });
+
+    it("should listen where timers are plain numbers, as in a browser", async function() {
+        await stream.close();
+
+        const nodeSetInterval = global.setInterval;
+        global.setInterval = (callback, delay) => Number(nodeSetInterval(callback, delay));
+        try {
+            port = await stream.listen(0);
+        }
+        finally {
+            global.setInterval = nodeSetInterval;
+        }
+        assert.equal((await fetch("http://127.0.0.1:" + port + "/events?instance=999")).status, 404);
+    });
+
+    it("should refuse to listen twice", function() {
+        assert.throws(() => stream.listen(0), /The live stream is already listening/);
+    });
+});
+
+function createLiveGalaxy() {
+    return {
+        stellar_systems: [{id: 1, name: "Alpha", owner: null, faction: null, sector_id: 0, position: {x: 0, y: 0}}],
+        sectors: [{id: 0, name: "Core", owner: null, division: [{faction: null, points: 1}]}],
+    };
+}
@@ -0,0 +1,131 @@
+import assert from 'assert';
+import fs from "fs";
+import {History} from "../../HistoryManager.mjs";
+import {ReplayCatalog} from "../../ReplayCatalog.mjs";
+
+const FACTION_ARK = "ark";
+
+describe("ReplayCatalog", function() {
+
+    const CATALOG_TEST_DIR = "test/catalog/";
+
+    // ReplayCatalog instance under test
+    let catalog = undefined;
+
+    beforeEach(function() {
+        fs.rmSync(CATALOG_TEST_DIR, {recursive: true, force: true});
+        fs.mkdirSync(CATALOG_TEST_DIR + "viewer", {recursive: true});
+
+        writeHistory(createHistory(1, "2022-01-01T10:00:00.000-04:00"));
+        const finished = createHistory(2, "2022-02-01T10:00:00.000-04:00");
+        finished.complete = true;
+        finished.end = "2022-02-20T10:00:00.000-04:00";
+        finished.winner = FACTION_ARK;
+        finished.snapshots.push({time: finished.end, final: {winner: FACTION_ARK, sectors: []}});
+        finished.undo.push({time: finished.end, final: null});
+        writeHistory(finished);
+
+        catalog = new ReplayCatalog(CATALOG_TEST_DIR);
+    });
+
+    after(function() {
+        fs.rmSync(CATALOG_TEST_DIR, {recursive: true, force: true});
+    });
+
+    it("should list every history, newest instance first", function() {
+        const entries = catalog.refresh();
+        assert.deepStrictEqual(entries.map(e => e.instance), [2, 1], "Directories without a history are skipped");
+
+        const finished = entries[0];
+        assert.strictEqual(finished.gameType, "slow");
+        assert.strictEqual(finished.start, "2022-02-01T10:00:00.000-04:00");
+        assert.strictEqual(finished.end, "2022-02-20T10:00:00.000-04:00");
+        assert.strictEqual(finished.complete, true);
+        assert.strictEqual(finished.snapshots, 2);
+        assert.deepStrictEqual(finished.factions, [FACTION_ARK]);
+        assert.strictEqual(finished.winner, FACTION_ARK);
+        assert.strictEqual(finished.fileSize, fs.statSync(CATALOG_TEST_DIR + "2/history.json").size);
+
+        assert.strictEqual(entries[1].complete, false);
+        assert.strictEqual(entries[1].winner, null);
+    });
+
+    it("should write the index", function() {
+        catalog.refresh();
+        const index = JSON.parse(fs.readFileSync(CATALOG_TEST_DIR + "index.json", 'utf8'));
+        assert(index.updated, "Expected the time of the last refresh");
+        assert.equal(index.replays.length, 2);
+
+        assert.deepStrictEqual(new ReplayCatalog(CATALOG_TEST_DIR).list("start", false).map(e => e.instance), [1, 2]);
+        assert.strictEqual(catalog.latest().instance, 2);
+    });
+
+    it("should reuse unchanged entries", function() {
+        catalog.refresh();
+
+        // Tamper with the cached entry, which is only rebuilt once its files change
+        const index = JSON.parse(fs.readFileSync(CATALOG_TEST_DIR + "index.json", 'utf8'));
+        index.replays[0].winner = "cached";
+        fs.writeFileSync(CATALOG_TEST_DIR + "index.json", JSON.stringify(index));
+
+        assert.strictEqual(catalog.refresh()[0].winner, "cached");
+
+        fs.appendFileSync(CATALOG_TEST_DIR + "2/history.json", " ");
+        assert.strictEqual(catalog.refresh()[0].winner, FACTION_ARK);
+    });
+
+    it("should scan without writing the index", function() {
+        assert.deepStrictEqual(catalog.scan("start", false).map(e => e.instance), [1, 2]);
+        assert(!fs.existsSync(CATALOG_TEST_DIR + "index.json"), "Expected the index to be left alone");
+
+        fs.writeFileSync(CATALOG_TEST_DIR + "2/history.json", "{not json");
+        assert.match(catalog.scan()[0].error, /Failed to load history for 2/);
+        assert.strictEqual(catalog.scan()[1].error, undefined, "Expected the unchanged entry from the last scan");
+    });
+
+    it("should update a single entry without loading any other history", function() {
+        catalog.refresh();
+
+        const finished = createHistory(1, "2022-01-01T10:00:00.000-04:00");
+        finished.complete = true;
+        finished.winner = FACTION_ARK;
+        fs.writeFileSync(CATALOG_TEST_DIR + "1/history.json", JSON.stringify(finished));
+        fs.writeFileSync(CATALOG_TEST_DIR + "2/history.json", "{not json");
+
+        const entries = catalog.update(finished);
+        assert.deepStrictEqual(entries.map(e => e.instance), [2, 1]);
+        assert.strictEqual(entries[1].winner, FACTION_ARK);
+        assert.strictEqual(entries[1].fileSize, fs.statSync(CATALOG_TEST_DIR + "1/history.json").size);
+        assert.strictEqual(entries[0].error, undefined, "Expected the other entry as last written");
+        assert.deepStrictEqual(catalog.list(), entries);
+    });
+
+    it("should list unreadable histories with an error", function() {
+        fs.mkdirSync(CATALOG_TEST_DIR + "3");
+        fs.writeFileSync(CATALOG_TEST_DIR + "3/history.json", "{not json");
+
+        const entries = catalog.refresh();
+        assert.strictEqual(entries[0].instance, 3);
+        assert.match(entries[0].error, /Failed to load history for 3/);
+    });
+
+    function writeHistory(history) {
+        fs.mkdirSync(CATALOG_TEST_DIR + history.instance);
+        fs.writeFileSync(CATALOG_TEST_DIR + history.instance + "/history.json", JSON.stringify(history));
+    }
+});
+
+function createHistory(instance, start) {
+    const history = new History(instance, {
+        stellar_systems: [{id: 1, name: "system name", owner: null, faction: null, sector_id: 0, status: "uninhabited"}],
+        sectors: [{id: 0, name: "simple sector", owner: null, division: [{faction: null, points: 1}]}],
+    });
+    history.start = start;
+    history.currentTimestamp = start;
+    history.snapshots.push({time: start, system: {id: 1, sector_id: 0, owner: "Granite", faction: FACTION_ARK},
+        sector: {id: 0, owner: FACTION_ARK, division: [{faction: FACTION_ARK, points: 1}]}});
+    history.undo.push({time: start, system: {id: 1, sector_id: 0, owner: null, faction: null},
+        sector: {id: 0, owner: null, division: [{faction: null, points: 1}]}});
+
+    return history;
+}
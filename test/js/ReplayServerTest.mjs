@@ -0,0 +1,175 @@
+import assert from 'assert';
+import fs from "fs";
+import {HistoryManager, STORAGE_MODE_JOURNAL} from "../../HistoryManager.mjs";
+import {HeadlessHost} from "../../HostAdapters.mjs";
+import {MAX_PAGE_SIZE, ReplayServer} from "../../ReplayServer.mjs";
+import {createGalaxy, FACTION_ARK, FACTION_TET, GAME_START_TIME, recordGame} from "./fixtures/RecordedGame.mjs";
+
+const FIRST_FLIP_TIME = "2022-03-02T10:00:00.000-04:00";
+const SECOND_FLIP_TIME = "2022-03-03T10:00:00.000-04:00";
+
+describe("ReplayServer", function() {
+
+    const SERVER_TEST_DIR = "test/server/";
+
+    // ReplayServer instance under test
+    let server = undefined;
+
+    // Errors logged by the server
+    let logged = undefined;
+
+    beforeEach(function() {
+        fs.rmSync(SERVER_TEST_DIR, {recursive: true, force: true});
+        fs.mkdirSync(SERVER_TEST_DIR + "viewer", {recursive: true});
+        fs.writeFileSync(SERVER_TEST_DIR + "viewer/index.html", "<html>viewer</html>");
+        writeHistory(createServerHistory());
+
+        logged = [];
+        server = new ReplayServer(SERVER_TEST_DIR, {host: new HeadlessHost({logger: m => logged.push(m)})});
+    });
+
+    afterEach(async function() {
+        await server.close();
+    });
+
+    after(function() {
+        fs.rmSync(SERVER_TEST_DIR, {recursive: true, force: true});
+    });
+
+    function get(url) {
+        const res = server.handle("GET", url);
+        return Object.assign({json: () => JSON.parse(res.body)}, res);
+    }
+
+    function writeHistory(history) {
+        fs.mkdirSync(SERVER_TEST_DIR + history.instance, {recursive: true});
+        fs.writeFileSync(SERVER_TEST_DIR + history.instance + "/history.json", JSON.stringify(history));
+    }
+
+    describe("API", function() {
+        it("should list the catalog", function() {
+            const res = get("/api/replays");
+            assert.equal(res.status, 200);
+            assert.deepStrictEqual(res.json().replays.map(e => e.instance), [120]);
+            assert(!fs.existsSync(SERVER_TEST_DIR + "index.json"), "Expected nothing written to the replays directory");
+        });
+
+        it("should describe a history", function() {
+            const body = get("/api/replays/120").json();
+            assert.strictEqual(body.instance, 120);
+            assert.strictEqual(body.start, GAME_START_TIME);
+            assert.strictEqual(body.snapshots, 2);
+            assert.strictEqual(body.systems, 2);
+            assert.strictEqual(body.sectors, 1);
+        });
+
+        it("should page through snapshots", function() {
+            const body = get("/api/replays/120/snapshots?offset=1&limit=5").json();
+            assert.deepStrictEqual([body.offset, body.limit, body.total], [1, 5, 2]);
+            assert.deepStrictEqual(body.snapshots.map(s => s.time), [SECOND_FLIP_TIME]);
+
+            assert.equal(get("/api/replays/120/snapshots?limit=" + (MAX_PAGE_SIZE + 1)).status, 400);
+            assert.equal(get("/api/replays/120/snapshots?offset=-1").status, 400);
+        });
+
+        it("should give the galaxy at a time or index", function() {
+            const atTime = get("/api/replays/120/galaxy?time=" + encodeURIComponent(FIRST_FLIP_TIME)).json();
+            assert.strictEqual(atTime.index, 1);
+            assert.strictEqual(atTime.galaxy.stellar_systems[0].faction, FACTION_ARK);
+
+            const atIndex = get("/api/replays/120/galaxy?index=2").json();
+            assert.strictEqual(atIndex.time, SECOND_FLIP_TIME);
+            assert.strictEqual(atIndex.galaxy.stellar_systems[0].faction, FACTION_TET);
+
+            assert.equal(get("/api/replays/120/galaxy?index=3").status, 400);
+            assert.equal(get("/api/replays/120/galaxy").status, 400);
+        });
+
+        it("should give the timeline of a system or sector", function() {
+            const timeline = get("/api/replays/120/systems/1/timeline").json();
+            assert.deepStrictEqual(timeline.map(e => e.faction), [null, FACTION_ARK, FACTION_TET]);
+            // Each flip carries the state of its sector, even where the sector didn't change hands
+            assert.deepStrictEqual(get("/api/replays/120/sectors/0/timeline").json().map(e => e.owner),
+                [null, FACTION_ARK, FACTION_ARK]);
+
+            const missing = get("/api/replays/120/systems/9/timeline");
+            assert.equal(missing.status, 404);
+            assert.strictEqual(missing.json().error, "No system with ID 9");
+        });
+
+        it("should reload a history once its files change", function() {
+            assert.strictEqual(get("/api/replays/120").json().snapshots, 2);
+
+            const history = createServerHistory();
+            history.snapshots.pop();
+            history.undo.pop();
+            writeHistory(history);
+
+            assert.strictEqual(get("/api/replays/120").json().snapshots, 1);
+        });
+
+        it("should read a journal still being appended to without rewriting it", function() {
+            new HistoryManager(SERVER_TEST_DIR, {host: new HeadlessHost(), storageMode: STORAGE_MODE_JOURNAL})
+                .replaceHistory(createServerHistory());
+            fs.rmSync(SERVER_TEST_DIR + "120/history.json");
+            fs.appendFileSync(SERVER_TEST_DIR + "120/journal.jsonl", "{\"snapshot\":{\"ti");
+            const journal = fs.readFileSync(SERVER_TEST_DIR + "120/journal.jsonl", 'utf8');
+
+            assert.strictEqual(get("/api/replays/120").json().snapshots, 2);
+            assert.deepStrictEqual(get("/api/replays").json().replays.map(e => e.snapshots), [2]);
+            assert.strictEqual(fs.readFileSync(SERVER_TEST_DIR + "120/journal.jsonl", 'utf8'), journal);
+        });
+
+        it("should reject unknown instances and routes", function() {
+            assert.equal(get("/api/replays/999").status, 404);
+            assert.equal(get("/api/replays/viewer").status, 404);
+            assert.equal(get("/api/replays/120/undo").status, 404);
+            assert.equal(get("/api/other").status, 404);
+            assert.equal(server.handle("POST", "/api/replays").status, 405);
+        });
+
+        it("should answer with an error when a history fails to load", function() {
+            fs.writeFileSync(SERVER_TEST_DIR + "120/history.json", "{not json");
+
+            const res = get("/api/replays/120");
+            assert.equal(res.status, 500);
+            assert.match(res.json().error, /Failed to load history for 120/);
+            assert.equal(logged.length, 1);
+        });
+    });
+
+    describe("files", function() {
+        it("should serve files, and the index of directories", function() {
+            const res = get("/viewer/");
+            assert.equal(res.status, 200);
+            assert.strictEqual(res.type, "text/html; charset=utf-8");
+            assert.strictEqual(res.body.toString(), "<html>viewer</html>");
+
+            assert.strictEqual(get("/120/history.json").json().instance, 120);
+        });
+
+        it("should not serve anything outside of the replays directory", function() {
+            assert.equal(get("/..%2f..%2fpackage.json").status, 404);
+            assert.equal(get("/viewer/missing.js").status, 404);
+        });
+    });
+
+    it("should answer over HTTP", async function() {
+        const port = await server.listen(0);
+
+        const res = await fetch("http://127.0.0.1:" + port + "/api/replays/120/snapshots?limit=1");
+        assert.equal(res.status, 200);
+        assert.strictEqual(res.headers.get("access-control-allow-origin"), "*");
+        assert.strictEqual((await res.json()).snapshots.length, 1);
+    });
+});
+
+/**
+ * Alpha taken by ark and then by tet, which left Core to ark.
+ */
+function createServerHistory() {
+    return recordGame(120, createGalaxy(), [
+        {time: FIRST_FLIP_TIME, systems: {1: {owner: "Granite", faction: FACTION_ARK}}, sectors: {0: {owner: FACTION_ARK}}},
+        {time: SECOND_FLIP_TIME, systems: {1: {owner: "Other", faction: FACTION_TET}}},
+    ]);
+}
@@ -0,0 +1,121 @@
+import assert from 'assert';
+import fs from "fs";
+import {BACKUP_SUFFIX, FileSystemStorage, MemoryStorage} from "../../StorageBackends.mjs";
+
+const STORAGE_TEST_DIR = "test/storage/";
+
+/**
+ * Every backend has to behave the same, so they all run the same tests.
+ */
+const BACKENDS = {
+    FileSystemStorage: () => new FileSystemStorage(STORAGE_TEST_DIR),
+    MemoryStorage: () => new MemoryStorage(),
+};
+
+Object.keys(BACKENDS).forEach(name => {
+    describe(name, function() {
+
+        // Storage instance under test
+        let storage = undefined;
+
+        beforeEach(function() {
+            fs.rmSync(STORAGE_TEST_DIR, {recursive: true, force: true});
+            storage = BACKENDS[name]();
+        });
+
+        after(function() {
+            fs.rmSync(STORAGE_TEST_DIR, {recursive: true, force: true});
+        });
+
+        it("should save and load", function() {
+            assert(!storage.exists("1/history.json"));
+            storage.save("1/history.json", "{}");
+
+            assert(storage.exists("1/history.json"));
+            assert(storage.exists("1"), "The instance should exist like a directory");
+            assert.strictEqual(storage.load("1/history.json"), "{}");
+
+            storage.save("1/history.json", "[]");
+            assert.strictEqual(storage.load("1/history.json"), "[]");
+        });
+
+        it("should append", function() {
+            storage.append("1/journal.jsonl", "a\n");
+            storage.append("1/journal.jsonl", "b\n");
+            assert.strictEqual(storage.load("1/journal.jsonl"), "a\nb\n");
+        });
+
+        it("should list direct children", function() {
+            storage.save("1/history.json", "{}");
+            storage.save("1/base.json", "{}");
+            storage.save("2/history.json", "{}");
+            storage.save("index.json", "{}");
+
+            assert.deepStrictEqual(storage.list("").sort(), ["1", "2", "index.json"]);
+            assert.deepStrictEqual(storage.list("1").sort(), ["base.json", "history.json"]);
+            assert.deepStrictEqual(storage.list("3"), []);
+        });
+
+        it("should delete keys and instances", function() {
+            storage.save("1/history.json", "{}");
+            storage.save("1/base.json", "{}");
+            storage.save("2/history.json", "{}");
+
+            storage.delete("1/base.json");
+            assert(!storage.exists("1/base.json"));
+            assert(storage.exists("1/history.json"));
+
+            storage.delete("1");
+            assert(!storage.exists("1/history.json"));
+            assert(storage.exists("2/history.json"));
+        });
+
+        it("should stat keys", function() {
+            assert.strictEqual(storage.stat("1/history.json"), null);
+
+            storage.save("1/history.json", "{}");
+            const before = storage.stat("1/history.json");
+            assert.strictEqual(before.size, 2);
+
+            storage.append("1/history.json", "  ");
+            const after = storage.stat("1/history.json");
+            assert.strictEqual(after.size, 4);
+            assert(after.modified >= before.modified);
+        });
+
+        it("should fail to load a missing key", function() {
+            assert.throws(() => storage.load("1/history.json"));
+        });
+    });
+});
+
+describe("FileSystemStorage saves", function() {
+
+    let storage = undefined;
+
+    beforeEach(function() {
+        fs.rmSync(STORAGE_TEST_DIR, {recursive: true, force: true});
+        storage = new FileSystemStorage(STORAGE_TEST_DIR);
+    });
+
+    after(function() {
+        fs.rmSync(STORAGE_TEST_DIR, {recursive: true, force: true});
+    });
+
+    it("should keep a backup of the replaced file", function() {
+        storage.save("1/history.json", "first");
+        assert(!storage.exists("1/history.json" + BACKUP_SUFFIX), "Nothing was replaced yet");
+
+        storage.save("1/history.json", "second");
+        storage.save("1/history.json", "third");
+        assert.strictEqual(storage.load("1/history.json"), "third");
+        assert.strictEqual(storage.load("1/history.json" + BACKUP_SUFFIX), "second");
+    });
+
+    it("should not leave temporary files behind", function() {
+        storage.save("1/history.json", "first");
+        storage.save("1/history.json", "second");
+
+        assert.deepStrictEqual(storage.list("1").sort(), ["history.json", "history.json" + BACKUP_SUFFIX]);
+    });
+});
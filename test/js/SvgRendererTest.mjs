@@ -0,0 +1,92 @@
+import assert from 'assert';
+import {SvgRenderer} from "../../SvgRenderer.mjs";
+import {createGalaxy, FACTION_ARK, FACTION_TET, GAME_START_TIME, recordGame} from "./fixtures/RecordedGame.mjs";
+
+const FIRST_FLIP_TIME = "2022-03-02T10:00:00.000-04:00";
+const SECOND_FLIP_TIME = "2022-03-03T10:00:00.000-04:00";
+
+describe("SvgRenderer", function() {
+
+    // SvgRenderer instance under test
+    let renderer = undefined;
+
+    beforeEach(function() {
+        renderer = new SvgRenderer(createRenderHistory(), {width: 240});
+    });
+
+    it("should reject bad options", function() {
+        assert.throws(() => new SvgRenderer(createRenderHistory(), {width: "wide"}), /Expected a positive number for width/);
+    });
+
+    it("should give every faction a colour, unless chosen", function() {
+        assert.deepStrictEqual(Object.keys(renderer.colours), [FACTION_ARK, FACTION_TET]);
+        assert.notEqual(renderer.colours[FACTION_ARK], renderer.colours[FACTION_TET]);
+
+        const chosen = new SvgRenderer(createRenderHistory(), {colours: {[FACTION_TET]: "gold"}});
+        assert.strictEqual(chosen.colours[FACTION_TET], "gold");
+    });
+
+    describe("#frameAt", function() {
+        it("should draw the galaxy as it was at the time", function() {
+            const svg = renderer.frameAt(FIRST_FLIP_TIME);
+            const ark = renderer.colours[FACTION_ARK];
+
+            assert(svg.startsWith("<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"240\" height=\"170\""), svg);
+            assert(svg.includes("<text class=\"time\" x=\"20\" y=\"14\" fill=\"#ddd\">2022-03-02 10:00</text>"), svg);
+            assert(svg.includes("<polygon data-sector=\"0\" points=\"20,20 220,20 220,120 20,20\" fill=\"" + ark + "\""), svg);
+            assert(svg.includes("<circle data-system=\"1\" cx=\"20\" cy=\"20\" r=\"4\" fill=\"" + ark + "\"><title>Alpha</title>"), svg);
+        });
+
+        it("should draw neutral territory before anyone took it", function() {
+            const svg = renderer.frameAt(GAME_START_TIME);
+            assert(svg.includes("<polygon data-sector=\"0\" points=\"20,20 220,20 220,120 20,20\" fill=\"#666\""), svg);
+        });
+
+        it("should outline systems out of sight", function() {
+            const history = createRenderHistory({visible: false});
+
+            const svg = new SvgRenderer(history, {width: 240}).frameAt(GAME_START_TIME);
+            assert(svg.includes("class=\"uncertain\" stroke=\"#ddd\" stroke-dasharray=\"2 1\"><title>Beta (last known)"), svg);
+            assert(svg.includes("<title>Alpha</title>"), svg);
+        });
+    });
+
+    describe("#frameTimes", function() {
+        it("should spread frames evenly over the game", function() {
+            assert.deepStrictEqual(renderer.frameTimes(3), [GAME_START_TIME, FIRST_FLIP_TIME, SECOND_FLIP_TIME]
+                .map(t => new Date(t).getTime()));
+            assert.deepStrictEqual(renderer.frameTimes(1), [new Date(SECOND_FLIP_TIME).getTime()]);
+            assert.throws(() => renderer.frameTimes(0), /Expected a positive number of frames/);
+        });
+    });
+
+    describe("#timelapse", function() {
+        it("should animate every change of colour", function() {
+            const svg = renderer.timelapse({duration: 10});
+            const ark = renderer.colours[FACTION_ARK];
+            const tet = renderer.colours[FACTION_TET];
+
+            assert(svg.includes("<title>Alpha</title><animate attributeName=\"fill\" calcMode=\"discrete\" dur=\"10s\""
+                + " repeatCount=\"indefinite\" keyTimes=\"0;0.45;0.9\" values=\"#666;" + ark + ";" + tet + "\"/>"), svg);
+            assert(svg.includes("<title>Beta</title></circle>"), "Beta never changes: " + svg);
+        });
+    });
+});
+
+/**
+ * Core with Alpha, which ark takes and then loses to tet, and Beta held by tet throughout. Gamma has no position.
+ *
+ * @param beta  Fields to set on Beta at the start.
+ */
+function createRenderHistory(beta = {}) {
+    const galaxy = createGalaxy({
+        1: {position: {x: 0, y: 0}},
+        2: Object.assign({faction: FACTION_TET, position: [100, 50]}, beta),
+        3: {name: "Gamma", faction: null, sector_id: 0},
+    }, {0: {points: [[0, 0], [100, 0], [100, 50]]}});
+
+    return recordGame(100, galaxy, [
+        {time: FIRST_FLIP_TIME, systems: {1: {faction: FACTION_ARK}}, sectors: {0: {owner: FACTION_ARK}}},
+        {time: SECOND_FLIP_TIME, systems: {1: {faction: FACTION_TET}}},
+    ]);
+}
@@ -0,0 +1,124 @@
+import assert from 'assert';
+import {TerritoryStats} from "../../TerritoryStats.mjs";
+import {createGalaxy, FACTION_ARK, FACTION_TET, GAME_START_TIME, recordGame} from "./fixtures/RecordedGame.mjs";
+
+const FIRST_FLIP_TIME = "2022-03-12T10:00:00.000-04:00";
+const SECOND_FLIP_TIME = "2022-03-12T20:00:00.000-04:00";
+const GAP_TIME = "2022-03-20T10:00:00.000-04:00";
+
+describe("TerritoryStats", function() {
+
+    // TerritoryStats instance under test
+    let stats = undefined;
+
+    beforeEach(function() {
+        stats = new TerritoryStats(createStatsHistory());
+    });
+
+    describe("series", function() {
+        it("should follow the territory of each faction", function() {
+            assert.deepStrictEqual(stats.factions[FACTION_ARK].series.map(s => [s.index, s.systems, s.sectors, s.points]), [
+                [1, 1, 0, {0: 1}],
+                [2, 2, 1, {0: 2}],
+                [3, 1, 0, {0: 1}],
+            ]);
+            assert.deepStrictEqual(stats.factions[FACTION_TET].series.map(s => [s.index, s.systems, s.sectors, s.points]), [
+                [0, 1, 1, {0: 1}],
+                [1, 1, 0, {0: 1}],
+                [2, 0, 0, {}],
+                [3, 1, 0, {0: 1}],
+            ]);
+            assert.strictEqual(stats.factions[FACTION_ARK].series[0].time, FIRST_FLIP_TIME);
+        });
+
+        it("should follow the systems of each player", function() {
+            assert.deepStrictEqual(stats.players["Granite"].series.map(s => [s.index, s.systems, s.sectors]), [
+                [1, 1, 0], [2, 2, 0], [3, 1, 0],
+            ]);
+            assert.deepStrictEqual(Object.keys(stats.players).sort(), ["Granite", "Other"]);
+        });
+    });
+
+    describe("derived stats", function() {
+        it("should find peak territory", function() {
+            assert.deepStrictEqual(stats.factions[FACTION_ARK].peakSystems, {count: 2, time: SECOND_FLIP_TIME});
+            assert.deepStrictEqual(stats.factions[FACTION_ARK].peakSectors, {count: 1, time: SECOND_FLIP_TIME});
+            assert.deepStrictEqual(stats.factions[FACTION_TET].peakSectors, {count: 1, time: GAME_START_TIME});
+        });
+
+        it("should count captures and losses, including those caught up on", function() {
+            assert.equal(stats.factions[FACTION_ARK].captures, 2);
+            assert.equal(stats.factions[FACTION_ARK].losses, 1);
+            assert.equal(stats.factions[FACTION_TET].captures, 1);
+            assert.equal(stats.factions[FACTION_TET].losses, 1);
+            assert.equal(stats.players["Granite"].captures, 2);
+            assert.equal(stats.players["Other"].losses, 1);
+        });
+
+        it("should find the longest held system", function() {
+            assert.deepStrictEqual(stats.factions[FACTION_ARK].longestHeld,
+                {id: 1, name: "Alpha", from: FIRST_FLIP_TIME, to: GAP_TIME, days: 8});
+            assert.deepStrictEqual(stats.factions[FACTION_TET].longestHeld,
+                {id: 2, name: "Beta", from: GAME_START_TIME, to: SECOND_FLIP_TIME, days: 11 + 10 / 24});
+        });
+
+        it("should sum up the swing of each day, without what was caught up on", function() {
+            assert.deepStrictEqual(stats.factions[FACTION_ARK].swingPerDay, {
+                "2022-03-12": {captures: 2, losses: 0, net: 2},
+            });
+            assert.deepStrictEqual(stats.factions[FACTION_TET].swingPerDay, {
+                "2022-03-12": {captures: 0, losses: 1, net: -1},
+            });
+        });
+    });
+
+    describe("output", function() {
+        it("should convert to JSON", function() {
+            const json = JSON.parse(JSON.stringify(stats));
+            assert.equal(json.instance, 70);
+            assert.equal(json.end, GAP_TIME);
+            assert.equal(json.factions[FACTION_ARK].captures, 2);
+        });
+
+        it("should write the series as CSV", function() {
+            const lines = stats.seriesCsv().trim().split("\n");
+            assert.equal(lines[0], "type,name,index,time,gameTime,systems,sectors,points");
+            assert(lines.includes("faction,ark,2," + SECOND_FLIP_TIME + ",,2,1,2"), "Unexpected CSV: " + lines);
+            assert.equal(lines.length, 1 + 3 + 4 + 3 + 3);
+        });
+
+        it("should write division point changes as CSV", function() {
+            const lines = stats.divisionCsv().trim().split("\n");
+            assert.deepStrictEqual(lines.filter(l => l.startsWith("tet,")), [
+                "tet,0,Core,0," + GAME_START_TIME + ",,1",
+                "tet,0,Core,2," + SECOND_FLIP_TIME + ",,0",
+                "tet,0,Core,3," + GAP_TIME + ",,1",
+            ]);
+        });
+
+        it("should write the summary as CSV", function() {
+            const lines = stats.summaryCsv().trim().split("\n");
+            assert.equal(lines.length, 5);
+            assert(lines.includes("faction,ark,2," + SECOND_FLIP_TIME + ",1," + SECOND_FLIP_TIME + ",2,1,1,Alpha,8"),
+                "Unexpected CSV: " + lines);
+        });
+    });
+});
+
+/**
+ * Two systems in one sector. Granite takes Alpha, then Beta from Other, and Other takes back Alpha while nobody was
+ * recording.
+ */
+function createStatsHistory() {
+    const galaxy = createGalaxy({2: {owner: "Other", faction: FACTION_TET, status: "inhabited"}},
+        {0: {owner: FACTION_TET, division: [{faction: FACTION_TET, points: 1}]}});
+
+    return recordGame(70, galaxy, [
+        {time: FIRST_FLIP_TIME, systems: {1: {owner: "Granite", faction: FACTION_ARK, status: "inhabited"}},
+            sectors: {0: {owner: null, division: [{faction: FACTION_TET, points: 1}, {faction: FACTION_ARK, points: 1}]}}},
+        {time: SECOND_FLIP_TIME, systems: {2: {owner: "Granite", faction: FACTION_ARK}},
+            sectors: {0: {owner: FACTION_ARK, division: [{faction: FACTION_ARK, points: 2}]}}},
+        {time: GAP_TIME, gap: true, systems: {1: {owner: "Other", faction: FACTION_TET}},
+            sectors: {0: {owner: null, division: [{faction: FACTION_ARK, points: 1}, {faction: FACTION_TET, points: 1}]}}},
+    ]);
+}
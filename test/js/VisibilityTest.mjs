@@ -0,0 +1,76 @@
+import assert from 'assert';
+import {HistoryValidator} from "../../HistoryValidator.mjs";
+import {confirmedHistory, isUncertain} from "../../Visibility.mjs";
+import {createGalaxy, FACTION_ARK, FACTION_TET, recordGame} from "./fixtures/RecordedGame.mjs";
+
+const FIRST_FLIP_TIME = "2022-03-02T10:00:00.000-04:00";
+const SECOND_FLIP_TIME = "2022-03-03T10:00:00.000-04:00";
+const GAP_TIME = "2022-03-04T10:00:00.000-04:00";
+
+describe("Visibility", function() {
+
+    describe("#isUncertain", function() {
+        it("should only doubt systems noted as out of sight", function() {
+            assert.strictEqual(isUncertain({id: 1, visible: false}), true);
+            assert.strictEqual(isUncertain({id: 1, visible: true}), false);
+            assert.strictEqual(isUncertain({id: 1}), false);
+        });
+    });
+
+    describe("#confirmedHistory", function() {
+        it("should leave out what the recorder didn't see", function() {
+            const confirmed = confirmedHistory(createVisibilityHistory());
+
+            assert.strictEqual(confirmed.base.stellar_systems[1].faction, null);
+            assert.strictEqual(confirmed.snapshots[0].system, undefined);
+            assert.strictEqual(confirmed.snapshots[0].sector.owner, FACTION_ARK);
+            assert.deepStrictEqual(new HistoryValidator().validate(confirmed), []);
+        });
+
+        it("should catch up on a system coming back into sight", function() {
+            const confirmed = confirmedHistory(createVisibilityHistory());
+
+            // Only Alpha's status changed once in sight, but that is also when ark was first seen holding it
+            assert.deepStrictEqual(confirmed.snapshots[1].system,
+                {id: 1, sector_id: 0, status: "inhabited", visible: true, faction: FACTION_ARK});
+            assert.deepStrictEqual(confirmed.snapshots[2].changes[0].system,
+                {id: 2, sector_id: 0, faction: FACTION_TET, visible: true, status: "uninhabited"});
+            assert.strictEqual(confirmed.current.stellar_systems[0].faction, FACTION_ARK);
+            assert.strictEqual(confirmed.current.stellar_systems[1].faction, FACTION_TET);
+        });
+
+        it("should leave histories without any visibility as they are", function() {
+            const history = createVisibilityHistory();
+            history.base.stellar_systems.concat(history.current.stellar_systems).forEach(sys => delete sys.visible);
+            history.snapshots.forEach(s => (s.changes || [s]).forEach(c => c.system && delete c.system.visible));
+
+            const confirmed = confirmedHistory(history);
+            assert.deepStrictEqual(confirmed.snapshots, history.snapshots);
+            assert.deepStrictEqual(confirmed.current, history.current);
+        });
+
+        it("should not modify the history", function() {
+            const history = createVisibilityHistory();
+            const before = JSON.stringify(history);
+
+            confirmedHistory(history);
+            assert.strictEqual(JSON.stringify(history), before);
+        });
+    });
+});
+
+/**
+ * Alpha is taken by ark out of sight, then seen being settled. Beta, out of sight at the start as held by ark, is
+ * found held by tet when a gap is caught up on.
+ */
+function createVisibilityHistory() {
+    const galaxy = createGalaxy({1: {visible: false}, 2: {faction: FACTION_ARK, visible: false}});
+
+    return recordGame(70, galaxy, [
+        {time: FIRST_FLIP_TIME, systems: {1: {faction: FACTION_ARK}},
+            sectors: {0: {owner: FACTION_ARK, division: [{faction: FACTION_ARK, points: 2}]}}},
+        {time: SECOND_FLIP_TIME, systems: {1: {status: "inhabited", visible: true}}},
+        {time: GAP_TIME, gap: true, systems: {2: {faction: FACTION_TET, visible: true}},
+            sectors: {0: {owner: FACTION_TET, division: [{faction: FACTION_TET, points: 2}]}}},
+    ]);
+}
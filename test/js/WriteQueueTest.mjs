@@ -0,0 +1,69 @@
+import assert from 'assert';
+import {WriteQueue} from "../../WriteQueue.mjs";
+
+describe("WriteQueue", function() {
+
+    // Writes run so far, by id
+    let written = undefined;
+
+    beforeEach(function() {
+        written = [];
+    });
+
+    it("should write straight away without a delay", function() {
+        const queue = new WriteQueue();
+        queue.schedule("a", () => written.push("a"));
+
+        assert.deepStrictEqual(written, ["a"]);
+        assert.equal(queue.size, 0);
+    });
+
+    it("should only run the latest write of each id", function() {
+        const queue = new WriteQueue(1000);
+        queue.schedule("a", () => written.push("a1"));
+        queue.schedule("b", () => written.push("b"));
+        queue.schedule("a", () => written.push("a2"));
+
+        assert.deepStrictEqual(written, []);
+        assert(queue.isPending("a"));
+
+        queue.flush();
+        assert.deepStrictEqual(written, ["b", "a2"]);
+        assert.equal(queue.size, 0);
+    });
+
+    it("should flush on its own after the delay", async function() {
+        const queue = new WriteQueue(10);
+        queue.schedule("a", () => written.push("a"));
+
+        await new Promise(r => setTimeout(r, 50));
+        assert.deepStrictEqual(written, ["a"]);
+    });
+
+    it("should drop cancelled writes", function() {
+        const queue = new WriteQueue(1000);
+        queue.schedule("a", () => written.push("a"));
+        queue.cancel("a");
+
+        queue.flush();
+        assert.deepStrictEqual(written, []);
+    });
+
+    it("should run every write even if one fails", function() {
+        const queue = new WriteQueue(1000);
+        queue.schedule("a", () => { throw "disk full"; });
+        queue.schedule("b", () => written.push("b"));
+
+        assert.throws(() => queue.flush(), /disk full/);
+        assert.deepStrictEqual(written, ["b"]);
+    });
+
+    it("should report errors of writes flushed on the timer", async function() {
+        const errors = [];
+        const queue = new WriteQueue(10, err => errors.push(err));
+        queue.schedule("a", () => { throw "disk full"; });
+
+        await new Promise(r => setTimeout(r, 50));
+        assert.deepStrictEqual(errors, ["disk full"]);
+    });
+});
@@ -0,0 +1,88 @@
+import {DateTime} from "luxon";
+import structuredClone from "realistic-structured-clone";
+import {HistoryManager} from "../../../HistoryManager.mjs";
+import {HeadlessHost} from "../../../HostAdapters.mjs";
+import {MemoryStorage} from "../../../StorageBackends.mjs";
+
+export const FACTION_ARK = "ark";
+export const FACTION_TET = "tet";
+
+export const GAME_START_TIME = "2022-03-01T10:00:00.000-04:00";
+
+/**
+ * Alpha and Beta, two systems nobody holds in the sector Core.
+ *
+ * @param systems   Fields to set on the systems, by ID, such as a position or who holds one at the start. An ID not
+ *                  in the galaxy adds a system.
+ * @param sectors   The same for the sectors.
+ */
+export function createGalaxy(systems = {}, sectors = {}) {
+    const galaxy = {
+        stellar_systems: [
+            {id: 1, name: "Alpha", owner: null, faction: null, sector_id: 0, status: "uninhabited"},
+            {id: 2, name: "Beta", owner: null, faction: null, sector_id: 0, status: "uninhabited"},
+        ],
+        sectors: [{id: 0, name: "Core", owner: null, division: [{faction: null, points: 2}]}],
+    };
+    setFields(galaxy.stellar_systems, systems);
+    setFields(galaxy.sectors, sectors);
+
+    return galaxy;
+}
+
+/**
+ * Records a game through HistoryManager the way the mod does, so its undo records, keyframes and gaps are exactly as
+ * they would be recorded. A system's `visible` field stands in for whether the game lets the recorder see it.
+ *
+ * @param galaxy    The galaxy at GAME_START_TIME.
+ * @param steps     What happens, in order, as `{time, gameTime, systems, sectors, gap}`. `systems` and `sectors` hold
+ *                  the fields changing at `time` by ID, as for `createGalaxy`, and the game's clock reads `gameTime`
+ *                  if given. With `gap`, nobody was recording since the step before, so the changes are caught up on.
+ * @returns {History}   The history as recorded.
+ */
+export function recordGame(instance, galaxy, steps) {
+    const game = structuredClone(galaxy);
+    let now = DateTime.fromISO(GAME_START_TIME, {setZone: true});
+    let gameTime = null;
+
+    const host = new HeadlessHost({
+        galaxy: game,
+        now: () => now,
+        clock: () => gameTime === null ? null : {time: gameTime, speed: null},
+        visibility: sys => sys.visible,
+    });
+    const manager = new HistoryManager("./", {host: host, storage: new MemoryStorage()});
+    manager.processNewInstance(instance, game);
+
+    steps.forEach(step => {
+        now = DateTime.fromISO(step.time, {setZone: true});
+        gameTime = step.gameTime === undefined ? null : step.gameTime;
+        const systems = setFields(game.stellar_systems, step.systems || {});
+        const sectors = setFields(game.sectors, step.sectors || {});
+
+        if(step.gap) {
+            manager.applyCatchUp(instance, structuredClone(game.stellar_systems), structuredClone(game.sectors));
+            return;
+        }
+
+        // A flip already carries the state of its sector, like the game's own updates
+        systems.forEach(sys => manager.applySystemUpdate(structuredClone(sys), instance));
+        sectors.forEach(sec => manager.applySectorUpdate(structuredClone(sec), instance));
+    });
+
+    return manager.getHistory(instance);
+}
+
+/**
+ * @returns {Object[]}  The entries given fields.
+ */
+function setFields(list, fieldsById) {
+    return Object.keys(fieldsById).map(id => {
+        let entry = list.find(e => e.id === Number(id));
+        if(!entry) {
+            entry = {id: Number(id)};
+            list.push(entry);
+        }
+        return Object.assign(entry, structuredClone(fieldsById[id]));
+    });
+}